@@ -0,0 +1,213 @@
+// Admin page entry point - lists active meetings and lets an operator end them or remove participants
+
+import { showAlert } from './js/utils/alertUtils.js';
+
+const TOKEN_STORAGE_KEY = 'segmentationLab.adminToken';
+const REFRESH_INTERVAL = 5000; // ms between meeting list refreshes
+
+const elements = {
+    tokenForm: document.getElementById('adminTokenForm'),
+    tokenInput: document.getElementById('adminTokenInput'),
+    refreshButton: document.getElementById('refreshMeetings'),
+    status: document.getElementById('adminStatus'),
+    meetingsBody: document.getElementById('meetingsTableBody'),
+    details: document.getElementById('meetingDetails'),
+    detailsTitle: document.getElementById('meetingDetailsTitle'),
+    endMeetingButton: document.getElementById('endMeeting'),
+    participantsBody: document.getElementById('participantsTableBody'),
+    waitingSummary: document.getElementById('waitingSummary')
+};
+
+// Kept for the browser session only, so a shared demo machine forgets it
+let token = sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+let selectedMeeting = null;
+
+/**
+ * Call the admin API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/admin
+ * @returns {Promise<Object|null>} - Parsed JSON body, or null for empty responses
+ * @throws {Error} With the server's error message when the request fails
+ */
+async function request(method, path) {
+    const response = await fetch(`/api/admin${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    if (response.status === 204) return null;
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Create a table cell
+ * @param {string} text - Cell text
+ * @returns {HTMLTableCellElement} - The cell
+ */
+function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+}
+
+/**
+ * Create a cell holding a single button
+ * @param {string} label - Button text
+ * @param {string} className - Button class, e.g. 'danger'
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLTableCellElement} - The cell
+ */
+function buttonCell(label, className, onClick) {
+    const td = document.createElement('td');
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    td.appendChild(button);
+    return td;
+}
+
+/**
+ * Describe who may join a meeting
+ * @param {Object} meeting - Meeting summary
+ * @returns {string} - e.g. 'Locked, password'
+ */
+function describeAccess(meeting) {
+    const parts = [];
+    if (meeting.locked) parts.push('Locked');
+    if (meeting.passwordProtected) parts.push('Password');
+    if (meeting.waitingRoom) parts.push('Waiting room');
+    return parts.join(', ') || 'Open';
+}
+
+/**
+ * Show the meeting list
+ * @param {Array<Object>} meetings - Meeting summaries
+ */
+function renderMeetings(meetings) {
+    elements.meetingsBody.innerHTML = '';
+    meetings.forEach(meeting => {
+        const row = document.createElement('tr');
+        row.classList.toggle('selected', meeting.meetingCode === selectedMeeting);
+        row.append(
+            cell(meeting.meetingCode),
+            cell(new Date(meeting.createdAt).toLocaleTimeString()),
+            cell(meeting.hostId || '-'),
+            cell(String(meeting.participantCount)),
+            cell(String(meeting.waitingCount)),
+            cell(describeAccess(meeting)),
+            buttonCell('Inspect', 'secondary', () => selectMeeting(meeting.meetingCode))
+        );
+        elements.meetingsBody.appendChild(row);
+    });
+    elements.status.textContent = `${meetings.length} active meeting${meetings.length === 1 ? '' : 's'}, updated ${new Date().toLocaleTimeString()}`;
+}
+
+/**
+ * Show one meeting's participants
+ * @param {Object} meeting - Meeting details
+ */
+function renderMeetingDetails(meeting) {
+    elements.details.classList.remove('hide');
+    elements.detailsTitle.textContent = `Meeting ${meeting.meetingCode} (${meeting.participantCount}/${meeting.maxParticipants})`;
+    elements.participantsBody.innerHTML = '';
+    meeting.participants.forEach(participant => {
+        const row = document.createElement('tr');
+        row.append(
+            cell(participant.participantId),
+            cell(participant.isHost ? 'Host' : 'Participant'),
+            cell(participant.connected ? 'Connected' : 'Reconnecting'),
+            buttonCell('Remove', 'danger', () => kickParticipant(meeting.meetingCode, participant.participantId))
+        );
+        elements.participantsBody.appendChild(row);
+    });
+    elements.waitingSummary.textContent = meeting.waiting.length > 0
+        ? `${meeting.waiting.length} waiting to be admitted`
+        : '';
+}
+
+/**
+ * Hide the meeting details, e.g. once the meeting ended
+ */
+function clearSelection() {
+    selectedMeeting = null;
+    elements.details.classList.add('hide');
+}
+
+/**
+ * Reload the meeting list and the selected meeting
+ */
+async function refresh() {
+    if (!token) {
+        elements.status.textContent = 'Enter the admin token to see active meetings';
+        return;
+    }
+
+    try {
+        const { meetings } = await request('GET', '/meetings');
+        if (selectedMeeting && !meetings.some(meeting => meeting.meetingCode === selectedMeeting)) {
+            clearSelection();
+        }
+        renderMeetings(meetings);
+        if (selectedMeeting) {
+            renderMeetingDetails(await request('GET', `/meetings/${encodeURIComponent(selectedMeeting)}`));
+        }
+    } catch (error) {
+        elements.status.textContent = error.message;
+    }
+}
+
+/**
+ * Show the details of a meeting
+ * @param {string} meetingCode - Meeting to inspect
+ */
+function selectMeeting(meetingCode) {
+    selectedMeeting = meetingCode;
+    refresh();
+}
+
+/**
+ * Remove a participant from a meeting
+ * @param {string} meetingCode - Meeting of the participant
+ * @param {string} participantId - Participant to remove
+ */
+async function kickParticipant(meetingCode, participantId) {
+    if (!confirm(`Remove ${participantId} from meeting ${meetingCode}?`)) return;
+    try {
+        await request('DELETE', `/meetings/${encodeURIComponent(meetingCode)}/participants/${encodeURIComponent(participantId)}`);
+        showAlert(`Removed ${participantId}`, 'success');
+    } catch (error) {
+        showAlert(`Could not remove participant: ${error.message}`, 'error');
+    }
+    refresh();
+}
+
+elements.endMeetingButton.addEventListener('click', async () => {
+    const meetingCode = selectedMeeting;
+    if (!meetingCode || !confirm(`End meeting ${meetingCode} for every participant?`)) return;
+    try {
+        await request('DELETE', `/meetings/${encodeURIComponent(meetingCode)}`);
+        showAlert(`Ended meeting ${meetingCode}`, 'success');
+        clearSelection();
+    } catch (error) {
+        showAlert(`Could not end meeting: ${error.message}`, 'error');
+    }
+    refresh();
+});
+
+elements.tokenForm.addEventListener('submit', event => {
+    event.preventDefault();
+    token = elements.tokenInput.value.trim();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+    elements.tokenInput.value = '';
+    refresh();
+});
+
+elements.refreshButton.addEventListener('click', refresh);
+
+refresh();
+setInterval(refresh, REFRESH_INTERVAL);
@@ -4,23 +4,27 @@
 import { initSocket } from './js/services/socketService.js';
 import { setupWebRTCConnection } from './js/services/webrtcService.js';
 import { initVirtualBackground } from './js/services/backgroundService.js';
+import { setupDeviceService } from './js/services/deviceService.js';
+import { setupRecording } from './js/services/recordingService.js';
+import { setupStatsCollector } from './js/services/statsCollector.js';
+import { setupNetworkQuality } from './js/services/networkQuality.js';
+import { setupSpeakerDetection } from './js/services/speakerDetection.js';
 import BackgroundModelFactory from './js/services/BackgroundModelFactory.js';
 
 // Import UI components
 import { initUI } from './js/components/uiController.js';
 import { setupPerformanceMetrics } from './js/components/performanceMetrics.js';
 import { setupEventHandlers } from './js/components/eventHandlers.js';
+import { setupLobby } from './js/components/lobby.js';
+import { setupLogViewer } from './js/components/logViewer.js';
 import ModelLabUI from './js/components/ModelLabUI.js';
 
 // Import utilities
 import { showAlert } from './js/utils/alertUtils.js';
-import { updateDebugInfo } from './js/utils/generalUtils.js';
+import { createDebugCallback } from './js/utils/logger.js';
 
-// Global debug function
-const debug = (message) => {
-    console.log(`[WebRTC App] ${message}`);
-    updateDebugInfo(message);
-};
+// Debug callback for the models; their messages go to the log viewer
+const debug = createDebugCallback('models');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
@@ -31,6 +35,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize UI components and event listeners
         const uiElements = initUI();
         
+        // Show log entries in the app, including those written while the rest starts up
+        setupLogViewer(uiElements);
+        
         // Initialize background model factory
         const modelFactory = new BackgroundModelFactory(debug);
         await modelFactory.init();
@@ -42,22 +49,44 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize virtual background service
         const backgroundService = initVirtualBackground(uiElements);
         
+        // Initialize camera/mic device selection
+        const deviceService = setupDeviceService(uiElements);
+        
         // Initialize WebRTC service
-        const webrtcService = setupWebRTCConnection(socket, uiElements, backgroundService);
+        const webrtcService = setupWebRTCConnection(socket, uiElements, backgroundService, deviceService);
         
         // Set up performance metrics
         setupPerformanceMetrics(uiElements, backgroundService);
         
+        // Set up the pre-join lobby
+        const lobby = setupLobby(uiElements, webrtcService, backgroundService);
+        
+        // Set up local recording
+        const recording = setupRecording(uiElements, webrtcService, backgroundService);
+        
+        // Sample call stats continuously; peers are picked up as they join
+        const statsCollector = setupStatsCollector(webrtcService, backgroundService);
+        statsCollector.start();
+        
+        // Show network quality badges and adapt the effect cost to the CPU
+        const networkQuality = setupNetworkQuality(uiElements, statsCollector, backgroundService);
+        
+        // Measure audio levels for speaking indicators and the active speaker
+        const speakerDetection = setupSpeakerDetection(uiElements, webrtcService);
+        speakerDetection.start();
+        
         // Set up event handlers for UI elements
-        setupEventHandlers(uiElements, webrtcService, backgroundService);
+        setupEventHandlers(uiElements, webrtcService, backgroundService, lobby, recording, statsCollector, networkQuality);
         
         // Initialize the virtual background lab UI (integrated directly into the existing UI)
-        const modelLab = new ModelLabUI(modelFactory, backgroundService, debug);
+        const modelLab = new ModelLabUI(modelFactory, backgroundService, createDebugCallback('model-lab'));
         await modelLab.init();
         debug('Virtual Background Model Lab initialized and integrated with UI');
         
-        // Check for meeting code in URL parameters
-        webrtcService.checkUrlForMeetingCode();
+        // Open the lobby for a meeting code in the URL parameters
+        if (webrtcService.checkUrlForMeetingCode()) {
+            lobby.open('join');
+        }
         
     } catch (error) {
         console.error('Error initializing application:', error);
@@ -17,7 +17,7 @@ class ModelLabUI {
      * Initialize the lab UI by enhancing the existing UI
      */
     async init() {
-        this.debugCallback('Initializing Model Lab UI...');
+        this.debugCallback('Initializing Model Lab UI...', 'info');
         
         // Create model lab UI elements and add to the existing UI
         await this._createModelLabUI();
@@ -40,7 +40,7 @@ class ModelLabUI {
         const performanceMetrics = document.getElementById('performanceMetrics');
         
         if (!performanceMetrics) {
-            this.debugCallback('Performance metrics element not found');
+            this.debugCallback('Performance metrics element not found', 'warn');
             return;
         }
 
@@ -544,7 +544,7 @@ class ModelLabUI {
      * @private
      */
     async _selectModel(modelId, config = {}) {
-        this.debugCallback(`Selecting model: ${modelId} with config:`, config);
+        this.debugCallback(`Selecting model: ${modelId} with config: ${JSON.stringify(config)}`, 'info');
         
         try {
             if (modelId === 'auto') {
@@ -561,9 +561,9 @@ class ModelLabUI {
             // Update UI to reflect changes
             await this._loadAvailableModels();
             
-            this.debugCallback(`Model changed to ${modelId} successfully`);
+            this.debugCallback(`Model changed to ${modelId} successfully`, 'info');
         } catch (error) {
-            this.debugCallback(`Error changing model: ${error.message}`);
+            this.debugCallback(`Error changing model: ${error.message}`, 'error');
         }
     }
     
@@ -1,25 +1,82 @@
 // Event handler connections between UI elements and their functionality
+import { toggleChatPanel, setTileStats } from './uiController.js';
 
 /**
  * Connect UI elements to their respective handler functions
  * @param {Object} uiElements - UI element references
  * @param {Object} webrtcService - WebRTC service
  * @param {Object} backgroundService - Background service
+ * @param {Object} lobby - Pre-join lobby
+ * @param {Object} recording - Recording service
+ * @param {Object} statsCollector - Call stats collector
+ * @param {Object} networkQuality - Network quality badges
  */
-export function setupEventHandlers(uiElements, webrtcService, backgroundService) {
-    // WebRTC call control buttons
+export function setupEventHandlers(uiElements, webrtcService, backgroundService, lobby, recording, statsCollector, networkQuality) {
+    // Creating or joining a meeting goes through the lobby first
     uiElements.createMeetingButton.addEventListener('click', () => {
-        webrtcService.createMeeting();
+        lobby.open('create');
     });
     
     uiElements.joinMeetingButton.addEventListener('click', () => {
-        webrtcService.joinMeeting();
+        lobby.open('join');
+    });
+    
+    uiElements.lobbyJoinButton.addEventListener('click', () => {
+        lobby.join();
+    });
+    
+    uiElements.lobbyCancelButton.addEventListener('click', () => {
+        lobby.cancel();
     });
     
     uiElements.endCallButton.addEventListener('click', () => {
         webrtcService.endCall();
     });
     
+    // Also runs when the host ends the meeting or removes us
+    webrtcService.onCallEnd(() => {
+        // Don't lose a running recording, download it as the call ends
+        recording.stop(true);
+        networkQuality.reset();
+        setTileStats(uiElements, null, null);
+    });
+    
+    // Each call gets its own stats timeline; the last one stays exportable after hanging up
+    webrtcService.onCallStart(() => {
+        statsCollector.reset();
+        if (uiElements.statsSampleCount) {
+            uiElements.statsSampleCount.textContent = '0 samples';
+        }
+    });
+    
+    // Host controls; the server checks the host role on every command
+    uiElements.muteAllButton?.addEventListener('click', () => {
+        webrtcService.requestMute();
+    });
+    
+    uiElements.lockMeetingButton?.addEventListener('click', () => {
+        webrtcService.toggleMeetingLock();
+    });
+    
+    uiElements.endForAllButton?.addEventListener('click', () => {
+        if (confirm('End the meeting for everyone?')) {
+            webrtcService.endMeetingForAll();
+        }
+    });
+    
+    // Per-participant host controls on the remote video tiles
+    uiElements.videoContainer.addEventListener('click', (event) => {
+        const button = event.target.closest('.host-controls button');
+        if (!button) return;
+        
+        const peerId = button.closest('.video-wrapper').dataset.peerId;
+        if (button.dataset.action === 'mute') {
+            webrtcService.requestMute(peerId);
+        } else if (button.dataset.action === 'kick' && confirm('Remove this participant from the meeting?')) {
+            webrtcService.kickParticipant(peerId);
+        }
+    });
+    
     // Audio/video toggle handlers - updated for icon buttons
     uiElements.toggleAudioButton.addEventListener('click', () => {
         webrtcService.toggleAudio();
@@ -29,6 +86,131 @@ export function setupEventHandlers(uiElements, webrtcService, backgroundService)
         webrtcService.toggleVideo();
     });
     
+    // Screen sharing - plain or with the presenter cut out on top
+    uiElements.shareScreenButton?.addEventListener('click', () => {
+        webrtcService.toggleScreenShare(false);
+    });
+    
+    uiElements.presentScreenButton?.addEventListener('click', () => {
+        webrtcService.toggleScreenShare(true);
+    });
+    
+    // Camera and microphone settings - changes are applied live
+    uiElements.toggleDeviceSettingsButton?.addEventListener('click', () => {
+        const hidden = uiElements.deviceSettings.classList.toggle('hide');
+        uiElements.toggleDeviceSettingsButton.classList.toggle('active', !hidden);
+    });
+    
+    uiElements.cameraSelect?.addEventListener('change', () => {
+        webrtcService.switchDevices({ videoDeviceId: uiElements.cameraSelect.value });
+    });
+    
+    uiElements.microphoneSelect?.addEventListener('change', () => {
+        webrtcService.switchDevices({ audioDeviceId: uiElements.microphoneSelect.value });
+    });
+    
+    uiElements.resolutionSelect?.addEventListener('change', () => {
+        webrtcService.switchDevices({ resolution: uiElements.resolutionSelect.value });
+    });
+    
+    uiElements.frameRateSelect?.addEventListener('change', () => {
+        webrtcService.switchDevices({ frameRate: uiElements.frameRateSelect.value });
+    });
+    
+    // Recording controls
+    uiElements.toggleRecordingButton?.addEventListener('click', () => {
+        recording.togglePanel();
+    });
+    
+    uiElements.recordingSourceSelect?.addEventListener('focus', () => {
+        recording.refreshSources();
+    });
+    
+    uiElements.recordingStartButton?.addEventListener('click', () => {
+        recording.toggleRecording();
+    });
+    
+    uiElements.recordingPauseButton?.addEventListener('click', () => {
+        recording.togglePause();
+    });
+    
+    // Call stats timeline export
+    uiElements.exportStatsJsonButton?.addEventListener('click', () => {
+        statsCollector.download('json');
+    });
+    
+    uiElements.exportStatsCsvButton?.addEventListener('click', () => {
+        statsCollector.download('csv');
+    });
+    
+    statsCollector.onSample(sample => {
+        if (uiElements.statsSampleCount) {
+            uiElements.statsSampleCount.textContent = `${statsCollector.getSampleCount()} samples`;
+        }
+        // Tile overlays; every connection sends the same local tracks, so any sample fits the local tile
+        setTileStats(uiElements, sample.peerId, sample);
+        setTileStats(uiElements, null, sample);
+    });
+    
+    // Outgoing video encoding - applied to every peer with setParameters
+    uiElements.maxBitrateSelect?.addEventListener('change', () => {
+        webrtcService.setEncodingSettings({ maxBitrate: uiElements.maxBitrateSelect.value });
+    });
+    
+    uiElements.scaleDownSelect?.addEventListener('change', () => {
+        webrtcService.setEncodingSettings({ scaleResolutionDownBy: uiElements.scaleDownSelect.value });
+    });
+    
+    uiElements.degradationSelect?.addEventListener('change', () => {
+        webrtcService.setEncodingSettings({ degradationPreference: uiElements.degradationSelect.value });
+    });
+    
+    uiElements.capToBackgroundOutputToggle?.addEventListener('change', () => {
+        webrtcService.setEncodingSettings({ capToBackgroundOutput: uiElements.capToBackgroundOutputToggle.checked });
+    });
+    
+    uiElements.codecSelect?.addEventListener('change', () => {
+        webrtcService.setPreferredCodec(uiElements.codecSelect.value);
+    });
+    
+    uiElements.simulcastToggle?.addEventListener('change', () => {
+        webrtcService.setEncodingSettings({ simulcast: uiElements.simulcastToggle.checked });
+    });
+    
+    // Chat, raised hand and reactions
+    uiElements.toggleChatButton?.addEventListener('click', () => {
+        toggleChatPanel(uiElements);
+    });
+    
+    uiElements.closeChatButton?.addEventListener('click', () => {
+        toggleChatPanel(uiElements, false);
+    });
+    
+    uiElements.chatForm?.addEventListener('submit', (event) => {
+        event.preventDefault();
+        webrtcService.sendChatMessage(uiElements.chatInput.value);
+        uiElements.chatInput.value = '';
+    });
+    
+    uiElements.sendFileButton?.addEventListener('click', () => {
+        uiElements.fileInput.click();
+    });
+    
+    uiElements.fileInput?.addEventListener('change', () => {
+        Array.from(uiElements.fileInput.files).forEach(file => webrtcService.sendFile(file));
+        uiElements.fileInput.value = '';
+    });
+    
+    uiElements.raiseHandButton?.addEventListener('click', () => {
+        webrtcService.toggleRaiseHand();
+    });
+    
+    document.querySelectorAll('.reaction-button').forEach(button => {
+        button.addEventListener('click', () => {
+            webrtcService.sendReaction(button.dataset.emoji);
+        });
+    });
+    
     // Meeting code actions
     uiElements.copyMeetingCodeButton.addEventListener('click', () => {
         webrtcService.copyMeetingCode();
@@ -0,0 +1,156 @@
+// Pre-join lobby: preview the camera with the virtual background before entering the call
+import { showAlert } from '../utils/alertUtils.js';
+import { updateDebugInfo } from '../utils/generalUtils.js';
+import { createAudioLevelMeter } from '../utils/audioLevel.js';
+import { showSetupError } from './uiController.js';
+
+/**
+ * Set up the lobby shown between choosing a meeting and joining it
+ * The local video tile and the background/device selectors are moved into the lobby
+ * while it is open, so the same elements (and the running background pipeline) carry
+ * over into the call
+ * @param {Object} uiElements - UI element references
+ * @param {Object} webrtcService - WebRTC service
+ * @param {Object} backgroundService - Virtual background service
+ * @returns {Object} - Lobby methods
+ */
+export function setupLobby(uiElements, webrtcService, backgroundService) {
+    let mode = null; // 'create' or 'join' while the lobby is open
+    let micMeter = null;
+    let statusInterval = null;
+    const movedNodes = []; // { node, parent, nextSibling } to put back on close
+
+    /**
+     * Move an element into the lobby, remembering where it came from
+     * @param {HTMLElement} node - Element to move
+     * @param {HTMLElement} target - Lobby container to move it into
+     */
+    function moveIntoLobby(node, target) {
+        if (!node) return;
+        movedNodes.push({ node, parent: node.parentNode, nextSibling: node.nextSibling });
+        target.appendChild(node);
+    }
+
+    // Put moved elements back in reverse order so the remembered siblings are in place
+    function restoreMovedNodes() {
+        while (movedNodes.length > 0) {
+            const { node, parent, nextSibling } = movedNodes.pop();
+            parent.insertBefore(node, nextSibling);
+        }
+    }
+
+    /**
+     * Refresh the mic level and the background model's live FPS
+     */
+    function updateStatus() {
+        const localStream = webrtcService.getLocalStream();
+        const audioTrack = localStream ? localStream.getAudioTracks()[0] : null;
+
+        // Re-attach the meter when the microphone was switched
+        if (audioTrack && (!micMeter || micMeter.sourceTrackId !== audioTrack.id)) {
+            micMeter?.stop();
+            micMeter = createAudioLevelMeter(audioTrack);
+        }
+        const level = micMeter ? micMeter.getLevel() : 0;
+        uiElements.lobbyMicLevel.style.width = `${Math.round(level * 100)}%`;
+
+        if (backgroundService.isEnabled()) {
+            const { fps } = backgroundService.getPerformanceMetrics();
+            uiElements.lobbyModel.textContent = backgroundService.getCurrentModel();
+            uiElements.lobbyFps.textContent = fps > 0 ? Math.round(fps) : '-';
+        } else {
+            uiElements.lobbyModel.textContent = 'Off';
+            uiElements.lobbyFps.textContent = '-';
+        }
+    }
+
+    /**
+     * Open the lobby for a new or an existing meeting
+     * @param {string} newMode - 'create' for a new meeting, 'join' for the code in the input
+     */
+    async function open(newMode) {
+        if (mode) return;
+
+        if (newMode === 'join' && !uiElements.meetingCodeInput.value.trim()) {
+            showAlert('Please enter a meeting code', 'error');
+            return;
+        }
+
+        if (!await webrtcService.prepareMedia()) return;
+
+        mode = newMode;
+        showSetupError(uiElements, null);
+        uiElements.lobbySubtitle.textContent = mode === 'create'
+            ? 'You are starting a new meeting'
+            : `You are joining meeting ${uiElements.meetingCodeInput.value.trim().toUpperCase()}`;
+
+        // Creators choose a password and waiting room, joiners enter the password if there is one
+        uiElements.meetingPasswordInput.value = '';
+        uiElements.meetingPasswordInput.placeholder = mode === 'create'
+            ? 'Meeting password (optional)'
+            : 'Meeting password (if required)';
+        uiElements.waitingRoomToggle.checked = false;
+        uiElements.waitingRoomOption.classList.toggle('hide', mode !== 'create');
+
+        moveIntoLobby(uiElements.localVideo.closest('.video-wrapper'), uiElements.lobbyPreview);
+        moveIntoLobby(uiElements.modelSelector, uiElements.lobbyControls);
+        moveIntoLobby(uiElements.deviceSettings, uiElements.lobbyControls);
+        uiElements.deviceSettings.classList.remove('hide');
+
+        uiElements.setupPanel.classList.add('hide');
+        uiElements.lobbyPanel.classList.remove('hide');
+
+        updateStatus();
+        statusInterval = setInterval(updateStatus, 100);
+        updateDebugInfo(`Lobby opened (${mode})`, 'info');
+    }
+
+    // Leave the lobby UI, putting the moved elements back into the call panel
+    function close() {
+        clearInterval(statusInterval);
+        statusInterval = null;
+        micMeter?.stop();
+        micMeter = null;
+
+        restoreMovedNodes();
+        uiElements.deviceSettings.classList.add('hide');
+        uiElements.toggleDeviceSettingsButton?.classList.remove('active');
+        uiElements.lobbyPanel.classList.add('hide');
+        mode = null;
+    }
+
+    /**
+     * Enter the meeting with the look chosen in the lobby
+     */
+    async function join() {
+        if (!mode) return;
+        const joinMode = mode;
+        const password = uiElements.meetingPasswordInput.value;
+        const waitingRoom = uiElements.waitingRoomToggle.checked;
+        close();
+
+        if (joinMode === 'create') {
+            await webrtcService.createMeeting({ password, waitingRoom });
+        } else {
+            await webrtcService.joinMeeting({ password });
+        }
+    }
+
+    /**
+     * Leave the lobby without joining and release the camera and mic
+     */
+    async function cancel() {
+        if (!mode) return;
+        close();
+        await webrtcService.releaseMedia();
+        uiElements.setupPanel.classList.remove('hide');
+        updateDebugInfo('Lobby cancelled', 'info');
+    }
+
+    return {
+        open,
+        join,
+        cancel,
+        isOpen: () => mode !== null
+    };
+}
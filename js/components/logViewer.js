@@ -0,0 +1,86 @@
+// In-app log viewer with level filter, clear and download
+import { LOG_LEVELS, onLogEntry, getLogEntries, clearLogEntries, formatLogEntry, downloadLogs } from '../utils/logger.js';
+
+const MAX_RENDERED_ENTRIES = 500; // Older entries stay in the download but not on the page
+
+/**
+ * Sets up the log viewer and keeps the latest message in the debug panel
+ * @param {Object} uiElements - UI elements references
+ * @returns {Object} - Log viewer methods
+ */
+export function setupLogViewer(uiElements) {
+    const list = uiElements.logEntries;
+
+    /**
+     * Whether an entry passes the level filter
+     * @param {Object} entry - Log entry
+     * @returns {boolean} - True to show the entry
+     */
+    function isShown(entry) {
+        return LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(uiElements.logLevelFilter.value);
+    }
+
+    /**
+     * Add an entry at the bottom of the list, following it if the list was scrolled to the end
+     * @param {Object} entry - Log entry
+     */
+    function appendEntry(entry) {
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+
+        const item = document.createElement('li');
+        item.className = `log-entry log-${entry.level}`;
+        item.textContent = formatLogEntry(entry);
+        list.appendChild(item);
+        while (list.childElementCount > MAX_RENDERED_ENTRIES) {
+            list.firstElementChild.remove();
+        }
+
+        if (atBottom) list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Rebuild the list, e.g. after the filter changed
+     */
+    function render() {
+        list.innerHTML = '';
+        getLogEntries().filter(isShown).slice(-MAX_RENDERED_ENTRIES).forEach(appendEntry);
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Show the latest message in the one-line debug panel
+     * @param {Object} entry - Log entry
+     */
+    function showLatest(entry) {
+        if (uiElements.debugInfo && entry.level !== 'debug') {
+            uiElements.debugInfo.textContent = entry.message;
+        }
+    }
+
+    /**
+     * Show or hide the entry list
+     */
+    function toggle() {
+        const open = !list.classList.toggle('hide');
+        if (open) render();
+    }
+
+    onLogEntry(entry => {
+        showLatest(entry);
+        if (!list.classList.contains('hide') && isShown(entry)) appendEntry(entry);
+    });
+
+    uiElements.toggleLogViewerButton.addEventListener('click', toggle);
+    uiElements.logLevelFilter.addEventListener('change', render);
+    uiElements.clearLogsButton.addEventListener('click', () => {
+        clearLogEntries();
+        render();
+    });
+    uiElements.downloadLogsButton.addEventListener('click', downloadLogs);
+
+    // Entries written before the viewer existed
+    const latest = getLogEntries().filter(entry => entry.level !== 'debug').pop();
+    if (latest) showLatest(latest);
+
+    return { toggle };
+}
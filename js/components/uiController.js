@@ -11,17 +11,25 @@ export function initUI() {
     const uiElements = {
         // Video elements
         localVideo: document.getElementById('localVideo'),
-        remoteVideo: document.getElementById('remoteVideo'),
         localCanvas: document.getElementById('localCanvas'),
         
         // Control buttons - using new icon-based controls
         toggleAudioButton: document.getElementById('toggleAudio'),
         toggleVideoButton: document.getElementById('toggleVideo'),
         endCallButton: document.getElementById('endCall'),
+        muteAllButton: document.getElementById('muteAll'),
+        lockMeetingButton: document.getElementById('lockMeeting'),
+        endForAllButton: document.getElementById('endForAll'),
         createMeetingButton: document.getElementById('createMeeting'),
         joinMeetingButton: document.getElementById('joinMeeting'),
         toggleBackgroundButton: document.getElementById('toggleBackground'),
         uploadBackgroundButton: document.getElementById('uploadBackground'),
+        shareScreenButton: document.getElementById('shareScreen'),
+        presentScreenButton: document.getElementById('presentScreen'),
+        toggleDeviceSettingsButton: document.getElementById('toggleDeviceSettings'),
+        toggleChatButton: document.getElementById('toggleChat'),
+        toggleRecordingButton: document.getElementById('toggleRecording'),
+        raiseHandButton: document.getElementById('raiseHand'),
         
         // Meeting code elements
         meetingCodeInput: document.getElementById('meetingCodeInput'),
@@ -29,7 +37,9 @@ export function initUI() {
         copyMeetingCodeButton: document.getElementById('copyMeetingCode'),
         
         // Panels
+        videoContainer: document.getElementById('videoContainer'),
         setupPanel: document.getElementById('setup-panel'),
+        lobbyPanel: document.getElementById('lobby-panel'),
         callPanel: document.getElementById('call-panel'),
         backgroundSelector: document.getElementById('backgroundSelector'),
         customBackgroundInput: document.getElementById('customBackground'),
@@ -37,12 +47,74 @@ export function initUI() {
         // Model selection - removed backgroundModelSelect as we only use MediaPipe now
         modelSelector: document.getElementById('modelSelector'),
         
+        // Chat
+        chatPanel: document.getElementById('chatPanel'),
+        chatMessages: document.getElementById('chatMessages'),
+        chatForm: document.getElementById('chatForm'),
+        chatInput: document.getElementById('chatInput'),
+        chatUnread: document.getElementById('chatUnread'),
+        sendFileButton: document.getElementById('sendFile'),
+        fileInput: document.getElementById('fileInput'),
+        closeChatButton: document.getElementById('closeChat'),
+        
+        // Lobby
+        lobbyPreview: document.getElementById('lobbyPreview'),
+        lobbyControls: document.getElementById('lobbyControls'),
+        lobbySubtitle: document.getElementById('lobbySubtitle'),
+        lobbyModel: document.getElementById('lobbyModel'),
+        lobbyFps: document.getElementById('lobbyFps'),
+        lobbyMicLevel: document.getElementById('lobbyMicLevel'),
+        lobbyJoinButton: document.getElementById('lobbyJoin'),
+        lobbyCancelButton: document.getElementById('lobbyCancel'),
+        setupError: document.getElementById('setupError'),
+        meetingPasswordInput: document.getElementById('meetingPassword'),
+        waitingRoomOption: document.getElementById('waitingRoomOption'),
+        waitingRoomToggle: document.getElementById('waitingRoomToggle'),
+        
+        // Waiting room
+        waitingNotice: document.getElementById('waitingNotice'),
+        waitingRoomPanel: document.getElementById('waitingRoomPanel'),
+        waitingRoomList: document.getElementById('waitingRoomList'),
+        
+        // Recording
+        recordingControls: document.getElementById('recordingControls'),
+        recordingSourceSelect: document.getElementById('recordingSource'),
+        recordingMixAudio: document.getElementById('recordingMixAudio'),
+        recordingStartButton: document.getElementById('recordingStart'),
+        recordingPauseButton: document.getElementById('recordingPause'),
+        recordingDuration: document.getElementById('recordingDuration'),
+        recordingDownload: document.getElementById('recordingDownload'),
+        exportStatsJsonButton: document.getElementById('exportStatsJson'),
+        exportStatsCsvButton: document.getElementById('exportStatsCsv'),
+        statsSampleCount: document.getElementById('statsSampleCount'),
+        
+        // Device settings
+        deviceSettings: document.getElementById('deviceSettings'),
+        cameraSelect: document.getElementById('cameraSelect'),
+        microphoneSelect: document.getElementById('microphoneSelect'),
+        resolutionSelect: document.getElementById('resolutionSelect'),
+        frameRateSelect: document.getElementById('frameRateSelect'),
+        maxBitrateSelect: document.getElementById('maxBitrateSelect'),
+        scaleDownSelect: document.getElementById('scaleDownSelect'),
+        degradationSelect: document.getElementById('degradationSelect'),
+        capToBackgroundOutputToggle: document.getElementById('capToBackgroundOutput'),
+        simulcastToggle: document.getElementById('simulcastToggle'),
+        codecSelect: document.getElementById('codecSelect'),
+        
         // Performance metrics
         performanceMetrics: document.getElementById('performanceMetrics'),
         segmentationTimeEl: document.getElementById('segmentationTime'),
         frameProcessingTimeEl: document.getElementById('frameProcessingTime'),
         fpsEl: document.getElementById('fps'),
         currentModelEl: document.getElementById('currentModel'),
+        
+        // Debug panel and log viewer
+        debugInfo: document.getElementById('debugInfo'),
+        toggleLogViewerButton: document.getElementById('toggleLogViewer'),
+        logLevelFilter: document.getElementById('logLevelFilter'),
+        clearLogsButton: document.getElementById('clearLogs'),
+        downloadLogsButton: document.getElementById('downloadLogs'),
+        logEntries: document.getElementById('logEntries'),
     };
 
     // Set up WebRTC stats display
@@ -55,49 +127,436 @@ export function initUI() {
 }
 
 /**
- * Setup WebRTC stats display for local and remote videos
+ * Setup WebRTC stats display for the local video
+ * Remote tiles get their own stats overlay in addRemoteVideoTile; the overlays are
+ * filled by setTileStats from the stats collector's samples
  * @param {Object} uiElements - References to UI elements
  */
 function setupWebRTCStats(uiElements) {
-    // Use existing stats overlays from HTML instead of creating new ones
+    // Use existing stats overlay from HTML instead of creating a new one
     const localStatsOverlay = document.getElementById('localStatsOverlay');
-    const remoteStatsOverlay = document.getElementById('remoteStatsOverlay');
     
-    // Get video wrapper elements
+    // Get video wrapper element
     const localVideoWrapper = uiElements.localVideo.closest('.video-wrapper');
-    const remoteVideoWrapper = uiElements.remoteVideo.closest('.video-wrapper');
     
-    // Add hover event listeners for local video stats
+    // Show local video stats while hovering
     if (localVideoWrapper && localStatsOverlay) {
         localVideoWrapper.addEventListener('mouseenter', () => {
-            updateLocalStats(uiElements);
             localStatsOverlay.style.opacity = '1';
-            // Update stats every second while hovering
-            uiElements.localStatsInterval = setInterval(() => updateLocalStats(uiElements), 1000);
         });
         
         localVideoWrapper.addEventListener('mouseleave', () => {
             localStatsOverlay.style.opacity = '0';
-            clearInterval(uiElements.localStatsInterval);
         });
     }
+}
+
+/**
+ * Add a video tile for a remote participant, or return the existing one
+ * @param {Object} uiElements - References to UI elements
+ * @param {string} peerId - Socket id of the remote participant
+ * @returns {HTMLVideoElement} - The participant's video element
+ */
+export function addRemoteVideoTile(uiElements, peerId) {
+    const existingTile = uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${peerId}"]`);
+    if (existingTile) {
+        return existingTile.querySelector('video');
+    }
     
-    // Add hover event listeners for remote video stats
-    if (remoteVideoWrapper && remoteStatsOverlay) {
-        remoteVideoWrapper.addEventListener('mouseenter', () => {
-            updateRemoteStats(uiElements);
-            remoteStatsOverlay.style.opacity = '1';
-            // Update stats every second while hovering
-            uiElements.remoteStatsInterval = setInterval(() => updateRemoteStats(uiElements), 1000);
-        });
+    const videoWrapper = document.createElement('div');
+    videoWrapper.className = 'video-wrapper';
+    videoWrapper.dataset.peerId = peerId;
+    videoWrapper.innerHTML = `
+        <h3><i class="fas fa-user-friends"></i> Participant ${peerId.substring(0, 4)}</h3>
+        <video autoplay playsinline></video>
+        <div class="stats-overlay">
+            <div class="stats-title">WebRTC Stats</div>
+        </div>
+        <div class="host-controls host-only">
+            <button class="secondary" data-action="mute" title="Ask to Mute"><i class="fas fa-microphone-slash"></i></button>
+            <button class="danger" data-action="kick" title="Remove from Meeting"><i class="fas fa-user-times"></i></button>
+        </div>
+    `;
+    uiElements.videoContainer.appendChild(videoWrapper);
+    
+    const remoteVideo = videoWrapper.querySelector('video');
+    const statsOverlay = videoWrapper.querySelector('.stats-overlay');
+    
+    // Show remote video stats while hovering
+    videoWrapper.addEventListener('mouseenter', () => {
+        statsOverlay.style.opacity = '1';
+    });
+    
+    videoWrapper.addEventListener('mouseleave', () => {
+        statsOverlay.style.opacity = '0';
+    });
+    
+    updateDebugInfo(`Added video tile for participant ${peerId}`, 'info');
+    return remoteVideo;
+}
+
+/**
+ * Remove the video tile of a remote participant
+ * @param {Object} uiElements - References to UI elements
+ * @param {string} peerId - Socket id of the remote participant
+ */
+export function removeRemoteVideoTile(uiElements, peerId) {
+    const videoWrapper = uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${peerId}"]`);
+    if (videoWrapper) {
+        videoWrapper.querySelector('video').srcObject = null;
+        videoWrapper.remove();
+    }
+}
+
+/**
+ * Show a status banner across the top of a remote participant's tile
+ * @param {Object} uiElements - References to UI elements
+ * @param {string} peerId - Socket id of the remote participant
+ * @param {string} message - Banner text
+ * @param {string} type - Banner style ('info', 'success', 'warning', 'error')
+ */
+export function showTileBanner(uiElements, peerId, message, type = 'info') {
+    const videoWrapper = uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${peerId}"]`);
+    if (!videoWrapper) return;
+    
+    let banner = videoWrapper.querySelector('.tile-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        videoWrapper.appendChild(banner);
+    }
+    banner.className = `tile-banner ${type}`;
+    banner.textContent = message;
+}
+
+/**
+ * Hide the status banner of a remote participant's tile
+ * @param {Object} uiElements - References to UI elements
+ * @param {string} peerId - Socket id of the remote participant
+ */
+export function hideTileBanner(uiElements, peerId) {
+    const banner = uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${peerId}"] .tile-banner`);
+    if (banner) {
+        banner.remove();
+    }
+}
+
+/**
+ * Find the tile of a participant
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, or null for the local tile
+ * @returns {HTMLElement|null} - The participant's .video-wrapper
+ */
+function findTile(uiElements, peerId) {
+    if (!peerId) {
+        return uiElements.localVideo.closest('.video-wrapper');
+    }
+    return uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${peerId}"]`);
+}
+
+/**
+ * Show or hide the raised-hand badge on a participant's tile
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, or null for the local tile
+ * @param {boolean} raised - Whether the hand is raised
+ */
+export function setTileHandRaised(uiElements, peerId, raised) {
+    const videoWrapper = findTile(uiElements, peerId);
+    if (!videoWrapper) return;
+    
+    let badge = videoWrapper.querySelector('.hand-badge');
+    if (raised && !badge) {
+        badge = document.createElement('div');
+        badge.className = 'hand-badge';
+        badge.innerHTML = '<i class="fas fa-hand-paper"></i>';
+        badge.title = 'Hand raised';
+        videoWrapper.appendChild(badge);
+    } else if (!raised && badge) {
+        badge.remove();
+    }
+}
+
+/**
+ * Float a reaction emoji up a participant's tile
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, or null for the local tile
+ * @param {string} emoji - The reaction
+ */
+export function showTileReaction(uiElements, peerId, emoji) {
+    const videoWrapper = findTile(uiElements, peerId);
+    if (!videoWrapper) return;
+    
+    const reaction = document.createElement('div');
+    reaction.className = 'tile-reaction';
+    reaction.textContent = emoji;
+    videoWrapper.appendChild(reaction);
+    reaction.addEventListener('animationend', () => reaction.remove());
+}
+
+/**
+ * Show which background effect a remote participant is using
+ * @param {Object} uiElements - References to UI elements
+ * @param {string} peerId - Id of the remote participant
+ * @param {Object} state - Effect state: { enabled, type, model }
+ */
+export function setTileEffectLabel(uiElements, peerId, state) {
+    const videoWrapper = findTile(uiElements, peerId);
+    if (!videoWrapper) return;
+    
+    let label = videoWrapper.querySelector('.effect-label');
+    if (!state.enabled) {
+        label?.remove();
+        return;
+    }
+    if (!label) {
+        label = document.createElement('div');
+        label.className = 'effect-label';
+        videoWrapper.appendChild(label);
+    }
+    label.textContent = `${state.type} · ${state.model}`;
+}
+
+/**
+ * Show the network quality badge on a tile
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, null for the local tile
+ * @param {Object|null} quality - { level: 'good'|'fair'|'poor', details }, null removes the badge
+ */
+export function setTileNetworkQuality(uiElements, peerId, quality) {
+    const videoWrapper = findTile(uiElements, peerId);
+    if (!videoWrapper) return;
+    
+    let badge = videoWrapper.querySelector('.network-badge');
+    if (!quality) {
+        badge?.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement('div');
+        badge.innerHTML = '<i class="fas fa-signal"></i>';
+        videoWrapper.appendChild(badge);
+    }
+    badge.className = `network-badge ${quality.level}`;
+    badge.title = quality.details;
+}
+
+/**
+ * Show a participant's audio level and whether they are speaking
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, null for the local tile
+ * @param {number|null} level - Level between 0 and 1, null removes the meter
+ * @param {boolean} speaking - Whether the participant is speaking
+ */
+export function setTileAudioLevel(uiElements, peerId, level, speaking = false) {
+    const videoWrapper = findTile(uiElements, peerId);
+    if (!videoWrapper) return;
+    
+    let meter = videoWrapper.querySelector('.tile-audio-level');
+    videoWrapper.classList.toggle('speaking', level !== null && speaking);
+    if (level === null) {
+        meter?.remove();
+        return;
+    }
+    if (!meter) {
+        meter = document.createElement('div');
+        meter.className = 'tile-audio-level';
+        meter.innerHTML = '<i class="fas fa-microphone"></i><div class="tile-audio-level-bar"></div>';
+        videoWrapper.appendChild(meter);
+    }
+    meter.querySelector('.tile-audio-level-bar').style.height = `${Math.round(level * 100)}%`;
+}
+
+/**
+ * Highlight the active speaker's tile and move it to the front of the layout
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null|undefined} peerId - Id of the remote participant, null for the local tile, undefined for nobody
+ */
+export function setActiveSpeaker(uiElements, peerId) {
+    const activeTile = peerId === undefined ? null : findTile(uiElements, peerId);
+    uiElements.videoContainer.querySelectorAll('.video-wrapper.active-speaker').forEach(tile => {
+        if (tile !== activeTile) tile.classList.remove('active-speaker');
+    });
+    activeTile?.classList.add('active-speaker');
+}
+
+/**
+ * Show why creating or joining a meeting failed on the setup panel
+ * @param {Object} uiElements - References to UI elements
+ * @param {string|null} message - Error to show, null hides it
+ */
+export function showSetupError(uiElements, message) {
+    uiElements.setupError.textContent = message || '';
+    uiElements.setupError.classList.toggle('hide', !message);
+}
+
+/**
+ * Show the host who is waiting to be admitted
+ * @param {Object} uiElements - References to UI elements
+ * @param {Object[]} waiting - Waiting joiners: { participantId, requestedAt }
+ * @param {Object} actions - Callbacks: onAdmit(participantId), onDeny(participantId)
+ */
+export function renderWaitingRoom(uiElements, waiting, actions) {
+    uiElements.waitingRoomList.innerHTML = '';
+    uiElements.waitingRoomPanel.classList.toggle('hide', waiting.length === 0);
+    
+    waiting.forEach(({ participantId, requestedAt }) => {
+        const entry = document.createElement('div');
+        entry.className = 'waiting-entry';
+        entry.innerHTML = `
+            <span class="waiting-name"></span>
+            <span class="waiting-since"></span>
+            <button class="success waiting-admit"><i class="fas fa-check"></i> Admit</button>
+            <button class="secondary waiting-deny"><i class="fas fa-times"></i> Deny</button>
+        `;
+        entry.querySelector('.waiting-name').textContent = `Participant ${participantId.substring(0, 4)}`;
+        entry.querySelector('.waiting-since').textContent = `since ${new Date(requestedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        entry.querySelector('.waiting-admit').addEventListener('click', () => actions.onAdmit(participantId));
+        entry.querySelector('.waiting-deny').addEventListener('click', () => actions.onDeny(participantId));
+        uiElements.waitingRoomList.appendChild(entry);
+    });
+}
+
+/**
+ * Add a message to the chat panel, counting it as unread while the panel is closed
+ * @param {Object} uiElements - References to UI elements
+ * @param {Object} message - { author, text, ts, own }
+ */
+export function appendChatMessage(uiElements, { author, text, ts, own = false }) {
+    const entry = document.createElement('div');
+    entry.className = own ? 'chat-message own' : 'chat-message';
+    
+    const meta = document.createElement('div');
+    meta.className = 'chat-meta';
+    meta.textContent = `${author} · ${new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    
+    const body = document.createElement('div');
+    body.className = 'chat-text';
+    body.textContent = text;
+    
+    entry.append(meta, body);
+    uiElements.chatMessages.appendChild(entry);
+    uiElements.chatMessages.scrollTop = uiElements.chatMessages.scrollHeight;
+    
+    if (!own && uiElements.chatPanel.classList.contains('hide')) {
+        const unread = Number(uiElements.chatUnread.textContent || 0) + 1;
+        uiElements.chatUnread.textContent = unread;
+        uiElements.chatUnread.classList.remove('hide');
+    }
+}
+
+/**
+ * Show or hide the chat panel, clearing the unread count when it opens
+ * @param {Object} uiElements - References to UI elements
+ * @param {boolean} [open] - Force the panel open or closed
+ */
+export function toggleChatPanel(uiElements, open) {
+    const hidden = open === undefined
+        ? uiElements.chatPanel.classList.toggle('hide')
+        : uiElements.chatPanel.classList.toggle('hide', !open);
+    uiElements.toggleChatButton.classList.toggle('active', !hidden);
+    if (!hidden) {
+        uiElements.chatUnread.textContent = '';
+        uiElements.chatUnread.classList.add('hide');
+        uiElements.chatInput.focus();
+    }
+}
+
+// Status text shown on file transfer cards
+const TRANSFER_STATUS_TEXT = {
+    pending: 'Waiting...',
+    active: 'Transferring...',
+    verifying: 'Verifying checksum...',
+    done: 'Complete',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * Show a file transfer in the chat panel, creating its card or updating its progress
+ * @param {Object} uiElements - References to UI elements
+ * @param {Object} transfer - Transfer from the file transfer service
+ * @param {string} peerLabel - Name of the other participant
+ * @param {Object} actions - Card button handlers
+ * @param {Function} actions.onCancel - Called with the transfer key to cancel it
+ * @param {Function} actions.onUseAsBackground - Called with the transfer key to apply a received image
+ */
+export function renderFileTransfer(uiElements, transfer, peerLabel, actions) {
+    let card = uiElements.chatMessages.querySelector(`.file-transfer[data-transfer-key="${transfer.key}"]`);
+    if (!card) {
+        const incoming = transfer.direction === 'receive';
+        card = document.createElement('div');
+        card.className = incoming ? 'chat-message file-transfer' : 'chat-message own file-transfer';
+        card.dataset.transferKey = transfer.key;
+        card.innerHTML = `
+            <div class="chat-meta"></div>
+            <div class="file-name"><i class="fas fa-file"></i> <span></span></div>
+            <div class="file-progress"><div class="file-progress-bar"></div></div>
+            <div class="file-status"></div>
+            <div class="file-actions">
+                <button class="secondary file-cancel" title="Cancel"><i class="fas fa-times"></i> Cancel</button>
+            </div>
+        `;
+        card.querySelector('.chat-meta').textContent = incoming ? `From ${peerLabel}` : `To ${peerLabel}`;
+        card.querySelector('.file-name span').textContent = `${transfer.name} (${formatBytes(transfer.size)})`;
+        card.querySelector('.file-cancel').addEventListener('click', () => actions.onCancel(transfer.key));
+        uiElements.chatMessages.appendChild(card);
+        uiElements.chatMessages.scrollTop = uiElements.chatMessages.scrollHeight;
         
-        remoteVideoWrapper.addEventListener('mouseleave', () => {
-            remoteStatsOverlay.style.opacity = '0';
-            clearInterval(uiElements.remoteStatsInterval);
-        });
+        if (incoming && uiElements.chatPanel.classList.contains('hide')) {
+            const unread = Number(uiElements.chatUnread.textContent || 0) + 1;
+            uiElements.chatUnread.textContent = unread;
+            uiElements.chatUnread.classList.remove('hide');
+        }
+    }
+    
+    const percent = transfer.size > 0 ? Math.round(transfer.transferred / transfer.size * 100) : 100;
+    card.querySelector('.file-progress-bar').style.width = `${percent}%`;
+    
+    let status = TRANSFER_STATUS_TEXT[transfer.status] || transfer.status;
+    if (transfer.status === 'active') {
+        status = `${formatBytes(transfer.transferred)} of ${formatBytes(transfer.size)} (${percent}%)`;
+    } else if (transfer.status === 'failed' && transfer.error) {
+        status = `Failed: ${transfer.error}`;
+    }
+    card.querySelector('.file-status').textContent = status;
+    card.classList.toggle('failed', transfer.status === 'failed' || transfer.status === 'cancelled');
+    
+    const finished = ['done', 'failed', 'cancelled'].includes(transfer.status);
+    if (finished) {
+        card.querySelector('.file-cancel')?.remove();
+        card.querySelector('.file-progress').classList.add('hide');
+    }
+    
+    // Received files can be saved, images can also be used as the virtual background
+    if (transfer.status === 'done' && transfer.url && !card.querySelector('.file-download')) {
+        const fileActions = card.querySelector('.file-actions');
+        
+        const download = document.createElement('a');
+        download.className = 'file-download';
+        download.href = transfer.url;
+        download.download = transfer.name;
+        download.innerHTML = '<i class="fas fa-download"></i> Save';
+        fileActions.appendChild(download);
+        
+        if (transfer.mimeType.startsWith('image/')) {
+            const useButton = document.createElement('button');
+            useButton.className = 'secondary file-use-background';
+            useButton.innerHTML = '<i class="fas fa-image"></i> Use as background';
+            useButton.addEventListener('click', () => actions.onUseAsBackground(transfer.key));
+            fileActions.appendChild(useButton);
+        }
     }
 }
 
+/**
+ * Remove all chat messages, e.g. when the call ends
+ * @param {Object} uiElements - References to UI elements
+ */
+export function clearChatMessages(uiElements) {
+    uiElements.chatMessages.innerHTML = '';
+    uiElements.chatUnread.textContent = '';
+    uiElements.chatUnread.classList.add('hide');
+}
+
 /**
  * Set up tooltips for performance metrics and other UI elements
  */
@@ -127,333 +586,61 @@ function setupTooltips() {
 }
 
 /**
- * Update remote WebRTC stats
- * @param {Object} uiElements - References to UI elements
+ * One row of a stats overlay, left out when the value is missing
+ * @param {string} label - Row label
+ * @param {*} value - Value to show, null if not measured
+ * @param {string} [unit] - Unit after the value
+ * @returns {string} - Row HTML
  */
-async function updateRemoteStats(uiElements) {
-    const statsOverlay = document.getElementById('remoteStatsOverlay');
-    if (!statsOverlay || !window.peerConnection) return;
-    
-    let statsHtml = '<div class="stats-title">Remote Stream</div>';
-    
-    try {
-        // Display resolution if available
-        if (uiElements.remoteVideo && uiElements.remoteVideo.videoWidth) {
-            statsHtml += `
-                <div class="stats-item">
-                    <div>Resolution:</div>
-                    <span id="remoteResolution">${uiElements.remoteVideo.videoWidth}×${uiElements.remoteVideo.videoHeight}</span>
-                </div>
-            `;
-        }
-        
-        const stats = await window.peerConnection.getStats();
-        let inboundVideoStats, connectionStats;
-        
-        stats.forEach(report => {
-            if (report.type === 'inbound-rtp' && report.kind === 'video') {
-                inboundVideoStats = report;
-            } else if (report.type === 'transport') {
-                connectionStats = report;
-            }
-        });
-        
-        if (inboundVideoStats) {
-            if (inboundVideoStats.bytesReceived) {
-                statsHtml += `
-                    <div class="stats-item">
-                        <div>Received:</div>
-                        <span>${formatBytes(inboundVideoStats.bytesReceived || 0)}</span>
-                    </div>
-                `;
-            }
-            
-            // Calculate FPS correctly from stats
-            if (inboundVideoStats.framesDecoded && inboundVideoStats.framesReceived) {
-                // If we have framesReceived, we can calculate FPS from timestamp delta
-                const now = Date.now();
-                
-                // Store last check time and frames in a property of the videoElement
-                if (!uiElements.remoteVideo.lastStatsCheck) {
-                    uiElements.remoteVideo.lastStatsCheck = {
-                        time: now,
-                        frames: inboundVideoStats.framesDecoded
-                    };
-                }
-                
-                // Calculate time difference in seconds
-                const timeDiff = (now - uiElements.remoteVideo.lastStatsCheck.time) / 1000;
-                
-                // Only calculate if we have at least 0.5 seconds between checks
-                if (timeDiff >= 0.5) {
-                    const frameDiff = inboundVideoStats.framesDecoded - uiElements.remoteVideo.lastStatsCheck.frames;
-                    const calculatedFps = Math.round(frameDiff / timeDiff);
-                    
-                    // Update stored values
-                    uiElements.remoteVideo.lastStatsCheck.time = now;
-                    uiElements.remoteVideo.lastStatsCheck.frames = inboundVideoStats.framesDecoded;
-                    
-                    // Add to stats display
-                    statsHtml += `
-                        <div class="stats-item">
-                            <div>FPS:</div>
-                            <span>${calculatedFps || 'N/A'}</span>
-                        </div>
-                    `;
-                } else if (uiElements.remoteVideo.lastStatsCheck.fps) {
-                    // Use previously calculated FPS if available
-                    statsHtml += `
-                        <div class="stats-item">
-                            <div>FPS:</div>
-                            <span>${uiElements.remoteVideo.lastStatsCheck.fps || 'N/A'}</span>
-                        </div>
-                    `;
-                } else {
-                    // Fallback to approximate calculation
-                    const approximateFps = Math.round(inboundVideoStats.framesDecoded / inboundVideoStats.totalDecodeTime);
-                    statsHtml += `
-                        <div class="stats-item">
-                            <div>FPS:</div>
-                            <span>${approximateFps || 'N/A'}</span>
-                        </div>
-                    `;
-                }
-            }
-            
-            if (inboundVideoStats.packetsLost && inboundVideoStats.packetsReceived) {
-                const lossRate = (inboundVideoStats.packetsLost / (inboundVideoStats.packetsReceived + inboundVideoStats.packetsLost) * 100).toFixed(1);
-                statsHtml += `
-                    <div class="stats-item">
-                        <div>Packet Loss:</div>
-                        <span>${lossRate}%</span>
-                    </div>
-                `;
-            }
-            
-            // Update packets element in HTML
-            statsHtml += `
-                <div class="stats-item">
-                    <div>Packets:</div>
-                    <span id="remotePackets">${inboundVideoStats.packetsReceived || '0'}</span>
-                </div>
-            `;
-            
-            // Update bitrate
-            if (inboundVideoStats.bytesReceived) {
-                const now = Date.now();
-                if (!uiElements.remoteVideo.lastBytesCheck) {
-                    uiElements.remoteVideo.lastBytesCheck = {
-                        time: now,
-                        bytes: inboundVideoStats.bytesReceived
-                    };
-                }
-                
-                const timeDiff = (now - uiElements.remoteVideo.lastBytesCheck.time) / 1000;
-                if (timeDiff >= 0.5) {
-                    const bytesDiff = inboundVideoStats.bytesReceived - uiElements.remoteVideo.lastBytesCheck.bytes;
-                    const bitrate = Math.round((bytesDiff * 8) / timeDiff / 1000); // kbps
-                    
-                    uiElements.remoteVideo.lastBytesCheck = {
-                        time: now,
-                        bytes: inboundVideoStats.bytesReceived
-                    };
-                    
-                    statsHtml += `
-                        <div class="stats-item">
-                            <div>Bitrate:</div>
-                            <span id="remoteBitrate">${bitrate} kbps</span>
-                        </div>
-                    `;
-                }
-            }
-        }
-        
-        if (connectionStats && connectionStats.currentRoundTripTime) {
-            statsHtml += `
-                <div class="stats-item">
-                    <div>Latency:</div>
-                    <span id="remoteLatency">${(connectionStats.currentRoundTripTime * 1000).toFixed(0)} ms</span>
-                </div>
-            `;
-        }
-        
-    } catch (e) {
-        console.error('Error getting remote WebRTC stats:', e);
-        statsHtml += '<div class="stats-item error">Error fetching stats</div>';
-    }
-    
-    statsOverlay.innerHTML = statsHtml;
+function statsRow(label, value, unit = '') {
+    if (value === null || value === undefined) return '';
+    return `
+        <div class="stats-item">
+            <div>${label}:</div>
+            <span>${value}${unit}</span>
+        </div>
+    `;
 }
 
 /**
- * Update local WebRTC stats
+ * Show WebRTC stats from the stats collector in a tile's hover overlay
+ * Remote tiles show what we receive from the participant, the local tile what we send
+ * together with the camera and microphone settings
  * @param {Object} uiElements - References to UI elements
+ * @param {string|null} peerId - Id of the remote participant, null for the local tile
+ * @param {Object|null} sample - Latest sample from the stats collector, null if there is none
  */
-async function updateLocalStats(uiElements) {
-    const statsOverlay = document.getElementById('localStatsOverlay');
+export function setTileStats(uiElements, peerId, sample) {
+    const videoWrapper = findTile(uiElements, peerId);
+    const statsOverlay = videoWrapper?.querySelector('.stats-overlay');
     if (!statsOverlay) return;
     
-    // Format basic local stream info
-    let statsHtml = '<div class="stats-title">Local Stream</div>';
+    const kbps = bitrate => (bitrate == null ? null : Math.round(bitrate / 1000));
+    let statsHtml;
     
-    if (uiElements.localVideo && uiElements.localVideo.srcObject) {
+    if (peerId) {
+        const inbound = sample?.inbound || {};
+        statsHtml = '<div class="stats-title">Remote Stream</div>' +
+            statsRow('Resolution', inbound.frameWidth ? `${inbound.frameWidth}×${inbound.frameHeight}` : null) +
+            statsRow('FPS', inbound.fps) +
+            statsRow('Bitrate', kbps(inbound.bitrate), ' kbps') +
+            statsRow('Packet Loss', inbound.lossPercent, '%') +
+            statsRow('Jitter', inbound.jitter, ' ms') +
+            statsRow('Latency', sample?.rtt, ' ms');
+    } else {
         const localStream = uiElements.localVideo.srcObject;
-        const videoTrack = localStream.getVideoTracks()[0];
-        const audioTrack = localStream.getAudioTracks()[0];
-        
-        if (videoTrack) {
-            const settings = videoTrack.getSettings();
-            statsHtml += `
-                <div class="stats-item">
-                    <div>Resolution:</div>
-                    <span id="localResolution">${settings.width || 'N/A'}×${settings.height || 'N/A'}</span>
-                </div>
-            `;
-            
-            // Always use the native video frame rate for display so stats match
-            // This ensures the displayed FPS is consistent with the video source
-            if (settings.frameRate) {
-                statsHtml += `
-                    <div class="stats-item">
-                        <div>FPS:</div>
-                        <span>${Math.round(settings.frameRate)}</span>
-                    </div>
-                `;
-            }
-        }
-        
-        if (audioTrack) {
-            statsHtml += `
-                <div class="stats-item">
-                    <div>Audio:</div>
-                    <span>${audioTrack.enabled ? 'On' : 'Muted'}</span>
-                </div>
-            `;
-        }
-    }
-    
-    // Get more details from WebRTC stats API if connection exists
-    if (window.peerConnection) {
-        try {
-            const stats = await window.peerConnection.getStats();
-            let outboundVideoStats;
-            
-            stats.forEach(report => {
-                if (report.type === 'outbound-rtp' && report.kind === 'video') {
-                    outboundVideoStats = report;
-                }
-            });
-            
-            if (outboundVideoStats && outboundVideoStats.bytesSent) {
-                statsHtml += `
-                    <div class="stats-item">
-                        <div>Sent:</div>
-                        <span>${formatBytes(outboundVideoStats.bytesSent || 0)}</span>
-                    </div>
-                `;
-                
-                // Update packets sent
-                statsHtml += `
-                    <div class="stats-item">
-                        <div>Packets Sent:</div>
-                        <span id="localPackets">${outboundVideoStats.packetsSent || '0'}</span>
-                    </div>
-                `;
-                
-                // Calculate bitrate
-                const now = Date.now();
-                if (!uiElements.localVideo.lastBytesCheck) {
-                    uiElements.localVideo.lastBytesCheck = {
-                        time: now,
-                        bytes: outboundVideoStats.bytesSent
-                    };
-                }
-                
-                const timeDiff = (now - uiElements.localVideo.lastBytesCheck.time) / 1000;
-                if (timeDiff >= 0.5) {
-                    const bytesDiff = outboundVideoStats.bytesSent - uiElements.localVideo.lastBytesCheck.bytes;
-                    const bitrate = Math.round((bytesDiff * 8) / timeDiff / 1000); // kbps
-                    
-                    uiElements.localVideo.lastBytesCheck = {
-                        time: now,
-                        bytes: outboundVideoStats.bytesSent
-                    };
-                    
-                    statsHtml += `
-                        <div class="stats-item">
-                            <div>Bitrate:</div>
-                            <span id="localBitrate">${bitrate} kbps</span>
-                        </div>
-                    `;
-                }
-                
-                // Add codec info if available
-                if (outboundVideoStats.codecId) {
-                    stats.forEach(report => {
-                        if (report.id === outboundVideoStats.codecId) {
-                            statsHtml += `
-                                <div class="stats-item">
-                                    <div>Codec:</div>
-                                    <span id="localCodec">${report.mimeType.split('/')[1]}</span>
-                                </div>
-                            `;
-                        }
-                    });
-                }
-                
-                // Calculate FPS for outbound stream using frame counts and timestamps
-                if (outboundVideoStats.framesSent) {
-                    // Similar approach as remote stats
-                    const now = Date.now();
-                    
-                    if (!uiElements.localVideo.lastStatsCheck) {
-                        uiElements.localVideo.lastStatsCheck = {
-                            time: now,
-                            frames: outboundVideoStats.framesSent
-                        };
-                    }
-                    
-                    // Calculate time difference in seconds
-                    const timeDiff = (now - uiElements.localVideo.lastStatsCheck.time) / 1000;
-                    
-                    if (timeDiff >= 0.5) {
-                        const frameDiff = outboundVideoStats.framesSent - uiElements.localVideo.lastStatsCheck.frames;
-                        const calculatedFps = Math.round(frameDiff / timeDiff);
-                        
-                        // Save for future reference
-                        uiElements.localVideo.lastStatsCheck.time = now;
-                        uiElements.localVideo.lastStatsCheck.frames = outboundVideoStats.framesSent;
-                        uiElements.localVideo.lastStatsCheck.fps = calculatedFps;
-                        
-                        // If not already displayed from settings
-                        const localStream = uiElements.localVideo.srcObject;
-                        const videoTrack = localStream?.getVideoTracks()[0];
-                        if (!videoTrack?.getSettings()?.frameRate) {
-                            statsHtml += `
-                                <div class="stats-item">
-                                    <div>FPS:</div>
-                                    <span>${calculatedFps || 'N/A'}</span>
-                                </div>
-                            `;
-                        }
-                    } else if (uiElements.localVideo.lastStatsCheck.fps) {
-                        const localStream = uiElements.localVideo.srcObject;
-                        const videoTrack = localStream?.getVideoTracks()[0];
-                        // Use previous calculation if needed
-                        if (!videoTrack?.getSettings()?.frameRate) {
-                            statsHtml += `
-                                <div class="stats-item">
-                                    <div>FPS:</div>
-                                    <span>${uiElements.localVideo.lastStatsCheck.fps || 'N/A'}</span>
-                                </div>
-                            `;
-                        }
-                    }
-                }
-            }
-        } catch (e) {
-            console.error('Error getting WebRTC stats:', e);
-        }
+        const settings = localStream?.getVideoTracks()[0]?.getSettings() || {};
+        const audioTrack = localStream?.getAudioTracks()[0];
+        const outbound = sample?.outbound || {};
+        statsHtml = '<div class="stats-title">Local Stream</div>' +
+            statsRow('Resolution', settings.width ? `${settings.width}×${settings.height}` : null) +
+            statsRow('Camera FPS', settings.frameRate ? Math.round(settings.frameRate) : null) +
+            statsRow('Audio', audioTrack ? (audioTrack.enabled ? 'On' : 'Muted') : null) +
+            statsRow('Sent', outbound.frameWidth ? `${outbound.frameWidth}×${outbound.frameHeight}` : null) +
+            statsRow('Sent FPS', outbound.fps) +
+            statsRow('Bitrate', kbps(outbound.bitrate), ' kbps') +
+            statsRow('Codec', outbound.codec) +
+            statsRow('Limited By', outbound.qualityLimitationReason !== 'none' ? outbound.qualityLimitationReason : null);
     }
     
     statsOverlay.innerHTML = statsHtml;
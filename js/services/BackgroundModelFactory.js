@@ -55,23 +55,23 @@ class BackgroundModelFactory {
      * Initialize the factory by detecting hardware capabilities
      */
     async init() {
-        this.debugCallback('Initializing BackgroundModelFactory...');
+        this.debugCallback('Initializing BackgroundModelFactory...', 'info');
         
         // Detect SIMD support
         this.simdSupport = await this._detectSIMDSupport();
-        this.debugCallback(`WebAssembly SIMD support: ${this.simdSupport ? 'Yes' : 'No'}`);
+        this.debugCallback(`WebAssembly SIMD support: ${this.simdSupport ? 'Yes' : 'No'}`, 'debug');
         
         // Detect WebGL support
         this.webglSupport = this._detectWebGLSupport();
-        this.debugCallback(`WebGL support: ${this.webglSupport ? 'Yes' : 'No'}`);
+        this.debugCallback(`WebGL support: ${this.webglSupport ? 'Yes' : 'No'}`, 'debug');
         
         // Detect WebGL 2 support
         this.webgl2Support = this._detectWebGL2Support();
-        this.debugCallback(`WebGL 2 support: ${this.webgl2Support ? 'Yes' : 'No'}`);
+        this.debugCallback(`WebGL 2 support: ${this.webgl2Support ? 'Yes' : 'No'}`, 'debug');
         
         // Estimate device performance
         await this._estimateDevicePerformance();
-        this.debugCallback(`Estimated device performance: ${this.devicePerformance}`);
+        this.debugCallback(`Estimated device performance: ${this.devicePerformance}`, 'debug');
         
         return true;
     }
@@ -87,15 +87,15 @@ class BackgroundModelFactory {
         if (this.userPreferredModel && modelType === 'auto') {
             modelType = this.userPreferredModel;
             options = this.userPreferredConfig || {};
-            this.debugCallback(`Using user preferred model: ${modelType}`);
+            this.debugCallback(`Using user preferred model: ${modelType}`, 'info');
         }
         
-        this.debugCallback(`Creating background model: ${modelType} with options:`, options);
+        this.debugCallback(`Creating background model: ${modelType} with options: ${JSON.stringify(options)}`, 'info');
         
         // If auto, select the optimal model based on device capabilities
         if (modelType === 'auto') {
             modelType = this._selectOptimalModel();
-            this.debugCallback(`Auto-selected model: ${modelType}`);
+            this.debugCallback(`Auto-selected model: ${modelType}`, 'info');
         }
         
         // Import the appropriate model dynamically
@@ -112,18 +112,18 @@ class BackgroundModelFactory {
                 // Future models would be added here
                 
                 default:
-                    this.debugCallback(`Unknown model type: ${modelType}, falling back to MediaPipe`);
+                    this.debugCallback(`Unknown model type: ${modelType}, falling back to MediaPipe`, 'warn');
                     const FallbackModel = (await import('../../models/MediaPipeModel.js')).default;
                     return new FallbackModel(this.debugCallback);
             }
         } catch (error) {
-            this.debugCallback(`Error creating model ${modelType}: ${error.message}`);
+            this.debugCallback(`Error creating model ${modelType}: ${error.message}`, 'error');
             // Fallback to MediaPipe if available
             try {
                 const FallbackModel = (await import('../../models/MediaPipeModel.js')).default;
                 return new FallbackModel(this.debugCallback);
             } catch (e) {
-                this.debugCallback(`Could not create fallback model either: ${e.message}`);
+                this.debugCallback(`Could not create fallback model either: ${e.message}`, 'error');
                 return null;
             }
         }
@@ -225,9 +225,9 @@ class BackgroundModelFactory {
                 this.devicePerformance = 'low';
             }
             
-            this.debugCallback(`Performance benchmark completed in ${benchmarkTime.toFixed(2)}ms: ${this.devicePerformance}`);
+            this.debugCallback(`Performance benchmark completed in ${benchmarkTime.toFixed(2)}ms: ${this.devicePerformance}`, 'info');
         } catch (e) {
-            this.debugCallback(`Error running benchmark: ${e.message}`);
+            this.debugCallback(`Error running benchmark: ${e.message}`, 'error');
         }
     }
     
@@ -256,26 +256,26 @@ class BackgroundModelFactory {
     setUserPreferredModel(modelType, config = {}) {
         // Validate if the model is available
         if (!this.availableModels[modelType.toLowerCase()]) {
-            this.debugCallback(`Model ${modelType} not found in available models`);
+            this.debugCallback(`Model ${modelType} not found in available models`, 'warn');
             return false;
         }
         
         // Check if the model is implemented
         if (!this.availableModels[modelType.toLowerCase()].isImplemented) {
-            this.debugCallback(`Model ${modelType} is not implemented yet`);
+            this.debugCallback(`Model ${modelType} is not implemented yet`, 'warn');
             return false;
         }
         
         // Check if the model requires SIMD but the browser doesn't support it
         if (config.simdRequired && !this.simdSupport) {
-            this.debugCallback(`Model ${modelType} requires SIMD but browser doesn't support it`);
+            this.debugCallback(`Model ${modelType} requires SIMD but browser doesn't support it`, 'warn');
             return false;
         }
         
         // Save user preference
         this.userPreferredModel = modelType.toLowerCase();
         this.userPreferredConfig = config;
-        this.debugCallback(`User preferred model set to ${modelType}`);
+        this.debugCallback(`User preferred model set to ${modelType}`, 'info');
         
         return true;
     }
@@ -286,7 +286,7 @@ class BackgroundModelFactory {
     resetUserPreferredModel() {
         this.userPreferredModel = null;
         this.userPreferredConfig = null;
-        this.debugCallback('User preferred model reset to auto');
+        this.debugCallback('User preferred model reset to auto', 'info');
         return true;
     }
     
@@ -31,9 +31,63 @@ export function initVirtualBackground(uiElements) {
         modelMetrics: {
             mediaPipe: { fps: 0, segTime: 0, processTime: 0 },
             bodypix: { fps: 0, segTime: 0, processTime: 0 }
-        }
+        },
+        // While a screen is shared, the screen (or presenter) track owns the video senders
+        screenShareActive: false,
+        // Cheaper model settings, e.g. after the encoder reported CPU limitation
+        reducedQuality: false
+    };
+
+    // Presenter mode: the person is cut out with the active model and overlaid on a shared screen
+    const PRESENTER_FPS = 15;
+    const PRESENTER_SCALE = 0.25; // Overlay width relative to the shared screen
+    const presenter = {
+        screenVideo: null,  // Plays the shared screen so frames can be drawn
+        outputCanvas: null, // Screen with the presenter overlay, sent to peers
+        cameraCanvas: null, // Model output: person over the covered part of the screen
+        screenCrop: null,   // The part of the screen the overlay covers, used as background image
+        track: null,
+        timer: null
     };
 
+    // Listeners told about effect changes, e.g. to broadcast them to other participants
+    const stateListeners = [];
+
+    /**
+     * Register a listener for effect changes (enabled, background type, model)
+     * @param {Function} listener - Called with the new effect state
+     */
+    function onStateChange(listener) {
+        stateListeners.push(listener);
+    }
+
+    /**
+     * Get the current effect state
+     * @returns {Object} - { enabled, type, model }
+     */
+    function getEffectState() {
+        return {
+            enabled: virtualBackground.enabled,
+            type: virtualBackground.type,
+            model: virtualBackground.model
+        };
+    }
+
+    function notifyStateChange() {
+        const state = getEffectState();
+        stateListeners.forEach(listener => listener(state));
+    }
+
+    /**
+     * Switch the active model (and models loaded later) to cheaper settings
+     * @param {boolean} reduced - True to lower the processing cost
+     */
+    function setReducedQuality(reduced) {
+        virtualBackground.reducedQuality = reduced;
+        virtualBackground.activeModel?.setReducedQuality?.(reduced);
+        updateDebugInfo(`Background processing quality: ${reduced ? 'reduced' : 'full'}`, 'info');
+    }
+
     /**
      * Sets the canvas context for the virtual background
      * @param {CanvasRenderingContext2D} context - The 2D canvas context
@@ -50,14 +104,14 @@ export function initVirtualBackground(uiElements) {
     function loadBackgroundImages() {
         // Beach background
         virtualBackground.backgroundImages.beach = new Image();
-        virtualBackground.backgroundImages.beach.onload = () => updateDebugInfo('Beach background loaded successfully');
-        virtualBackground.backgroundImages.beach.onerror = (e) => updateDebugInfo('Error loading beach background: ' + e.message);
+        virtualBackground.backgroundImages.beach.onload = () => updateDebugInfo('Beach background loaded successfully', 'info');
+        virtualBackground.backgroundImages.beach.onerror = (e) => updateDebugInfo('Error loading beach background: ' + e.message, 'error');
         virtualBackground.backgroundImages.beach.src = 'assets/beach.png';
         
         // Office background
         virtualBackground.backgroundImages.office = new Image();
-        virtualBackground.backgroundImages.office.onload = () => updateDebugInfo('Office background loaded successfully');
-        virtualBackground.backgroundImages.office.onerror = (e) => updateDebugInfo('Error loading office background: ' + e.message);
+        virtualBackground.backgroundImages.office.onload = () => updateDebugInfo('Office background loaded successfully', 'info');
+        virtualBackground.backgroundImages.office.onerror = (e) => updateDebugInfo('Error loading office background: ' + e.message, 'error');
         virtualBackground.backgroundImages.office.src = 'assets/office.png';
         
         // Preload background images as a separate operation
@@ -65,7 +119,7 @@ export function initVirtualBackground(uiElements) {
             // Force preload by accessing properties (this can trigger actual loading)
             const beachCheck = virtualBackground.backgroundImages.beach.width;
             const officeCheck = virtualBackground.backgroundImages.office.width;
-            updateDebugInfo(`Preload check - Beach: ${beachCheck}px, Office: ${officeCheck}px`);
+            updateDebugInfo(`Preload check - Beach: ${beachCheck}px, Office: ${officeCheck}px`, 'debug');
         }, 2000);
     }
 
@@ -75,7 +129,7 @@ export function initVirtualBackground(uiElements) {
      */
     function setVirtualBackgroundType(type) {
         virtualBackground.type = type;
-        updateDebugInfo('Background type set to: ' + type);
+        updateDebugInfo('Background type set to: ' + type, 'info');
         
         // Update UI - new UI uses bg-option class instead of background-option
         const options = document.querySelectorAll('.bg-option');
@@ -86,6 +140,8 @@ export function initVirtualBackground(uiElements) {
                 option.classList.remove('active');
             }
         });
+        
+        notifyStateChange();
     }
 
     /**
@@ -104,7 +160,7 @@ export function initVirtualBackground(uiElements) {
             try {
                 virtualBackground.activeModel.dispose();
             } catch (e) {
-                updateDebugInfo(`Error disposing current model: ${e.message}`);
+                updateDebugInfo(`Error disposing current model: ${e.message}`, 'error');
             }
         }
         
@@ -122,6 +178,7 @@ export function initVirtualBackground(uiElements) {
             if (!virtualBackground.activeModel) {
                 throw new Error(`Failed to create model of type: ${virtualBackground.model}`);
             }
+            virtualBackground.activeModel.setReducedQuality?.(virtualBackground.reducedQuality);
             
             // Update UI
             uiElements.currentModelEl.textContent = virtualBackground.model;
@@ -130,10 +187,11 @@ export function initVirtualBackground(uiElements) {
             const success = await virtualBackground.activeModel.init();
             if (success) {
                 showAlert(`${virtualBackground.model} model initialized successfully`, 'success');
+                notifyStateChange();
             }
             return success;
         } catch (error) {
-            updateDebugInfo(`Error initializing model: ${error.message}`);
+            updateDebugInfo(`Error initializing model: ${error.message}`, 'error');
             showAlert(`Could not initialize ${virtualBackground.model} model.`, 'error');
             return false;
         }
@@ -158,7 +216,7 @@ export function initVirtualBackground(uiElements) {
         // Get new model from factory using auto selection
         const modelFactory = window.modelFactory;
         if (!modelFactory) {
-            updateDebugInfo('Model factory not available');
+            updateDebugInfo('Model factory not available', 'error');
             return false;
         }
         
@@ -174,7 +232,7 @@ export function initVirtualBackground(uiElements) {
                 try {
                     virtualBackground.activeModel.dispose();
                 } catch (e) {
-                    updateDebugInfo(`Error disposing current model: ${e.message}`);
+                    updateDebugInfo(`Error disposing current model: ${e.message}`, 'error');
                 }
             }
             
@@ -202,28 +260,19 @@ export function initVirtualBackground(uiElements) {
             if (wasEnabled && success) {
                 await toggle(true); // Pass true to explicitly turn it on
                 
-                // Force track replacement to ensure remote peer sees the changes
-                if (window.peerConnection && virtualBackground.videoTrack) {
-                    const senders = window.peerConnection.getSenders();
-                    const videoSender = senders.find(sender => sender.track && sender.track.kind === 'video');
-                    
-                    if (videoSender) {
-                        try {
-                            updateDebugInfo('Explicitly replacing track after model change');
-                            await videoSender.replaceTrack(virtualBackground.videoTrack);
-                            
-                            // Notify about track update
-                            showAlert('Video track updated on remote end', 'info', null, 2000);
-                        } catch (e) {
-                            updateDebugInfo(`Error replacing track: ${e.message}`);
-                        }
+                // Force track replacement to ensure remote peers see the changes
+                if (virtualBackground.videoTrack) {
+                    updateDebugInfo('Explicitly replacing track after model change', 'debug');
+                    if (await replaceVideoTrackInPeerConnections(virtualBackground.videoTrack)) {
+                        // Notify about track update
+                        showAlert('Video track updated on remote end', 'info', null, 2000);
                     }
                 }
             }
             
             return success;
         } catch (error) {
-            updateDebugInfo(`Error reloading model: ${error.message}`);
+            updateDebugInfo(`Error reloading model: ${error.message}`, 'error');
             showAlert(`Could not reload model: ${error.message}`, 'error');
             
             // Restore original model
@@ -257,13 +306,13 @@ export function initVirtualBackground(uiElements) {
             
             // Debug background image loading issues
             if (virtualBackground.type === 'office' && (!backgroundImage || !backgroundImage.complete)) {
-                updateDebugInfo(`Office background image issue: loaded=${backgroundImage ? 'yes' : 'no'}, complete=${backgroundImage ? backgroundImage.complete : 'n/a'}`);
+                updateDebugInfo(`Office background image issue: loaded=${backgroundImage ? 'yes' : 'no'}, complete=${backgroundImage ? backgroundImage.complete : 'n/a'}`, 'warn');
                 // Try to reload the office background
                 if (!virtualBackground.backgroundImages.office || !virtualBackground.backgroundImages.office.complete) {
-                    updateDebugInfo('Reloading office background image');
+                    updateDebugInfo('Reloading office background image', 'debug');
                     virtualBackground.backgroundImages.office = new Image();
-                    virtualBackground.backgroundImages.office.onload = () => updateDebugInfo('Office background reloaded successfully');
-                    virtualBackground.backgroundImages.office.onerror = (e) => updateDebugInfo('Error reloading office background: ' + e.message);
+                    virtualBackground.backgroundImages.office.onload = () => updateDebugInfo('Office background reloaded successfully', 'info');
+                    virtualBackground.backgroundImages.office.onerror = (e) => updateDebugInfo('Error reloading office background: ' + e.message, 'error');
                     virtualBackground.backgroundImages.office.src = 'assets/office.png';
                     
                     // For this frame, use beach as fallback if available
@@ -291,7 +340,7 @@ export function initVirtualBackground(uiElements) {
                 virtualBackground.videoTrack.requestFrame();
             }
         } catch (error) {
-            updateDebugInfo(`Error processing frame: ${error.message}`);
+            updateDebugInfo(`Error processing frame: ${error.message}`, 'error');
             // Fallback to original video
             virtualBackground.context.drawImage(uiElements.localVideo, 0, 0, uiElements.localCanvas.width, uiElements.localCanvas.height);
             // Still request a frame even on error
@@ -329,7 +378,16 @@ export function initVirtualBackground(uiElements) {
             (uiElements.localCanvas.width !== uiElements.localVideo.videoWidth || uiElements.localCanvas.height !== uiElements.localVideo.videoHeight)) {
             uiElements.localCanvas.width = uiElements.localVideo.videoWidth;
             uiElements.localCanvas.height = uiElements.localVideo.videoHeight;
-            updateDebugInfo(`Canvas resized to match video: ${uiElements.localCanvas.width}x${uiElements.localCanvas.height}`);
+            updateDebugInfo(`Canvas resized to match video: ${uiElements.localCanvas.width}x${uiElements.localCanvas.height}`, 'debug');
+        }
+        
+        // Presenter mode runs the model on its own timer, and the presenter track is what peers
+        // receive meanwhile. Sharing the model between both loops would make them drop each
+        // other's frames and mix up the metrics, so the preview shows the plain camera until it ends
+        if (presenter.track) {
+            virtualBackground.context.drawImage(uiElements.localVideo, 0, 0, uiElements.localCanvas.width, uiElements.localCanvas.height);
+            virtualBackground.animationFrame = requestAnimationFrame(processVideoFrames);
+            return;
         }
         
         // Apply virtual background
@@ -337,7 +395,7 @@ export function initVirtualBackground(uiElements) {
             // After successfully processing the frame, request the next one
             virtualBackground.animationFrame = requestAnimationFrame(processVideoFrames);
         }).catch(error => {
-            updateDebugInfo(`Error in frame processing: ${error.message}`);
+            updateDebugInfo(`Error in frame processing: ${error.message}`, 'error');
             // Even on error, continue processing the next frame
             virtualBackground.animationFrame = requestAnimationFrame(processVideoFrames);
         });
@@ -448,7 +506,7 @@ export function initVirtualBackground(uiElements) {
             const videoTrack = uiElements.localVideo.srcObject.getVideoTracks()[0];
             const settings = videoTrack ? videoTrack.getSettings() : null;
             virtualBackground.targetFps = settings && settings.frameRate ? Math.round(settings.frameRate) : 30;
-            updateDebugInfo(`Source video FPS capability: ${virtualBackground.targetFps}`);
+            updateDebugInfo(`Source video FPS capability: ${virtualBackground.targetFps}`, 'debug');
             
             // Add the audio tracks from the original stream
             const audioTracks = uiElements.localVideo.srcObject.getAudioTracks();
@@ -472,7 +530,7 @@ export function initVirtualBackground(uiElements) {
             uiElements.localVideo.style.opacity = '0';
             
             // Replace the video track in the WebRTC connection
-            await replaceVideoTrackInPeerConnection(virtualBackground.videoTrack);
+            await replaceVideoTrackInPeerConnections(virtualBackground.videoTrack);
             
             // Make sure the canvas is in the same container as the video
             const videoWrapper = uiElements.localVideo.closest('.video-wrapper');
@@ -483,7 +541,8 @@ export function initVirtualBackground(uiElements) {
             // Start processing frames
             processVideoFrames();
             
-            updateDebugInfo('Virtual background enabled: ' + virtualBackground.model);
+            updateDebugInfo('Virtual background enabled: ' + virtualBackground.model, 'info');
+            notifyStateChange();
         } else {
             // Update UI - using the new icon button
             uiElements.toggleBackgroundButton.classList.remove('active');
@@ -507,7 +566,7 @@ export function initVirtualBackground(uiElements) {
                 
                 // Replace the track in the WebRTC connection
                 if (originalVideoTrack) {
-                    await replaceVideoTrackInPeerConnection(originalVideoTrack);
+                    await replaceVideoTrackInPeerConnections(originalVideoTrack);
                 }
                 
                 // Restore local video
@@ -521,80 +580,221 @@ export function initVirtualBackground(uiElements) {
                 virtualBackground.animationFrame = null;
             }
             
-            updateDebugInfo('Virtual background disabled');
+            updateDebugInfo('Virtual background disabled', 'info');
+            notifyStateChange();
         }
     }
 
     /**
-     * Helper function to replace video track in peer connection
+     * Helper function to replace the video track on every peer connection of the call
      * @param {MediaStreamTrack} newTrack - The new video track to use
-     * @returns {Promise<boolean>} - Whether the track was replaced successfully
+     * @returns {Promise<boolean>} - Whether the track was replaced on all connections
      */
-    async function replaceVideoTrackInPeerConnection(newTrack) {
-        // Check peer connection status
-        if (!window.peerConnection) {
-            updateDebugInfo('Waiting for peer connection...');
-            // Try multiple times with increasing delays
-            for (let i = 0; i < 3; i++) {
-                await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-                if (window.peerConnection) {
-                    updateDebugInfo('Peer connection found after retry');
-                    break;
-                }
-            }
+    async function replaceVideoTrackInPeerConnections(newTrack) {
+        // The camera track goes back out when screen sharing stops
+        if (virtualBackground.screenShareActive) {
+            updateDebugInfo('Screen share active, not replacing the outgoing video track', 'debug');
+            return false;
         }
-
-        if (!window.peerConnection) {
-            updateDebugInfo('No peer connection available for track replacement. Connection state: ' + 
-                (window.peerConnection ? window.peerConnection.connectionState : 'undefined'));
+        
+        // Participants who join later pick up the current track when their connection is created
+        const peerConnections = window.peerConnections;
+        if (!peerConnections || peerConnections.size === 0) {
+            updateDebugInfo('No peer connections yet, track will be used for new participants', 'debug');
             return false;
         }
         
+        const results = await Promise.all(Array.from(peerConnections.entries()).map(
+            ([peerId, peerConnection]) => replaceVideoTrackInPeerConnection(peerId, peerConnection, newTrack)
+        ));
+        return results.every(Boolean);
+    }
+
+    /**
+     * Helper function to replace video track in a single peer connection
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {RTCPeerConnection} peerConnection - The connection to update
+     * @param {MediaStreamTrack} newTrack - The new video track to use
+     * @returns {Promise<boolean>} - Whether the track was replaced successfully
+     */
+    async function replaceVideoTrackInPeerConnection(peerId, peerConnection, newTrack) {
         try {
-            updateDebugInfo(`Replacing video track in peer connection. Track ID: ${newTrack.id}, State: ${window.peerConnection.connectionState}`);
-            const senders = window.peerConnection.getSenders();
+            updateDebugInfo(`Replacing video track for ${peerId}. Track ID: ${newTrack.id}, State: ${peerConnection.connectionState}`, 'debug');
+            const senders = peerConnection.getSenders();
             const videoSender = senders.find(sender => sender.track && sender.track.kind === 'video');
             
             if (videoSender) {
                 const oldTrack = videoSender.track;
-                updateDebugInfo(`Found existing video sender. Old track ID: ${oldTrack ? oldTrack.id : 'none'}`);
+                updateDebugInfo(`Found existing video sender. Old track ID: ${oldTrack ? oldTrack.id : 'none'}`, 'debug');
                 
                 await videoSender.replaceTrack(newTrack);
-                updateDebugInfo('Video track replaced successfully in peer connection');
-                console.log('Track replacement successful:', newTrack);
+                updateDebugInfo(`Video track replaced successfully for ${peerId}`, 'debug');
                 
                 // Verify the track was replaced
                 if (videoSender.track === newTrack) {
-                    updateDebugInfo('Track replacement verified');
+                    updateDebugInfo('Track replacement verified', 'debug');
                     return true;
                 } else {
-                    updateDebugInfo('Track replacement verification failed');
+                    updateDebugInfo('Track replacement verification failed', 'error');
                     return false;
                 }
             } else {
-                updateDebugInfo('No video sender found in peer connection. Available senders:', 
-                    senders.map(s => `${s.track ? s.track.kind : 'no track'}`).join(', '));
+                updateDebugInfo(`No video sender found for ${peerId}. Available senders: ` + 
+                    senders.map(s => `${s.track ? s.track.kind : 'no track'}`).join(', '), 'warn');
                 
                 // Try to add the track if no sender exists
-                if (window.peerConnection.connectionState === 'connected') {
+                if (peerConnection.connectionState === 'connected') {
                     try {
-                        window.peerConnection.addTrack(newTrack);
-                        updateDebugInfo('Added new video track to peer connection');
+                        peerConnection.addTrack(newTrack);
+                        updateDebugInfo('Added new video track to peer connection', 'info');
                         return true;
                     } catch (e) {
-                        updateDebugInfo('Failed to add new track: ' + e.message);
+                        updateDebugInfo('Failed to add new track: ' + e.message, 'error');
                         return false;
                     }
                 }
                 return false;
             }
         } catch (error) {
-            updateDebugInfo(`Error replacing track in peer connection: ${error.message}`);
+            updateDebugInfo(`Error replacing track for ${peerId}: ${error.message}`, 'error');
             console.error('Error replacing track:', error);
             return false;
         }
     }
 
+    /**
+     * Pick up new camera/mic tracks after a device switch
+     * Frames are read from uiElements.localVideo on every render, so only the frame rate
+     * and the audio tracks carried along in the canvas stream need to follow the new source
+     */
+    function updateSourceStream() {
+        const stream = uiElements.localVideo.srcObject;
+        if (!virtualBackground.enabled || !virtualBackground.canvasStream || !stream) return;
+        
+        const videoTrack = stream.getVideoTracks()[0];
+        const settings = videoTrack ? videoTrack.getSettings() : null;
+        virtualBackground.targetFps = settings && settings.frameRate ? Math.round(settings.frameRate) : 30;
+        
+        const canvasStream = virtualBackground.canvasStream;
+        canvasStream.getAudioTracks().forEach(track => canvasStream.removeTrack(track));
+        stream.getAudioTracks().forEach(track => canvasStream.addTrack(track));
+        
+        virtualBackground.stream = stream;
+        updateDebugInfo(`Virtual background source updated, FPS capability: ${virtualBackground.targetFps}`, 'info');
+    }
+
+    /**
+     * Start presenter mode: composite the shared screen with the person cut out of the camera
+     * The active model replaces the camera background with the part of the screen the
+     * overlay covers, so the person appears to stand on top of the shared content
+     * @param {MediaStream} screenStream - Stream from getDisplayMedia
+     * @returns {Promise<MediaStreamTrack|null>} - The composited track, or null if no model could be loaded
+     */
+    async function startPresenterMode(screenStream) {
+        stopPresenterMode();
+        
+        if (!virtualBackground.activeModel && !await loadSelectedModel()) {
+            return null;
+        }
+        
+        presenter.screenVideo = document.createElement('video');
+        presenter.screenVideo.muted = true;
+        presenter.screenVideo.playsInline = true;
+        presenter.screenVideo.srcObject = screenStream;
+        await presenter.screenVideo.play();
+        
+        presenter.outputCanvas = document.createElement('canvas');
+        presenter.cameraCanvas = document.createElement('canvas');
+        presenter.screenCrop = document.createElement('canvas');
+        presenter.track = presenter.outputCanvas.captureStream(0).getVideoTracks()[0];
+        
+        renderPresenterFrame();
+        updateDebugInfo('Presenter mode started with model: ' + virtualBackground.model, 'info');
+        return presenter.track;
+    }
+
+    /**
+     * Render one presenter frame and schedule the next one
+     * Uses a timer instead of requestAnimationFrame, which stops while the tab is hidden,
+     * and presenters usually switch to the window they share
+     */
+    async function renderPresenterFrame() {
+        if (!presenter.track) return;
+        
+        const frameStart = performance.now();
+        const screenVideo = presenter.screenVideo;
+        const cameraVideo = uiElements.localVideo;
+        
+        if (screenVideo.videoWidth && cameraVideo.videoWidth && virtualBackground.activeModel) {
+            try {
+                const width = screenVideo.videoWidth;
+                const height = screenVideo.videoHeight;
+                if (presenter.outputCanvas.width !== width || presenter.outputCanvas.height !== height) {
+                    presenter.outputCanvas.width = width;
+                    presenter.outputCanvas.height = height;
+                }
+                
+                const ctx = presenter.outputCanvas.getContext('2d');
+                ctx.drawImage(screenVideo, 0, 0, width, height);
+                
+                // Bottom-right corner region keeping the camera's aspect ratio
+                const overlayWidth = Math.round(width * PRESENTER_SCALE);
+                const overlayHeight = Math.round(overlayWidth * cameraVideo.videoHeight / cameraVideo.videoWidth);
+                const margin = Math.round(width * 0.02);
+                const x = width - overlayWidth - margin;
+                const y = height - overlayHeight - margin;
+                
+                presenter.screenCrop.width = overlayWidth;
+                presenter.screenCrop.height = overlayHeight;
+                presenter.screenCrop.getContext('2d').drawImage(
+                    presenter.outputCanvas, x, y, overlayWidth, overlayHeight, 0, 0, overlayWidth, overlayHeight
+                );
+                
+                presenter.cameraCanvas.width = cameraVideo.videoWidth;
+                presenter.cameraCanvas.height = cameraVideo.videoHeight;
+                const result = await virtualBackground.activeModel.processFrame(
+                    cameraVideo,
+                    presenter.cameraCanvas,
+                    'custom',
+                    presenter.screenCrop
+                );
+                
+                // Presenter mode may have been stopped while the model was busy
+                if (!presenter.track) return;
+                
+                ctx.drawImage(presenter.cameraCanvas, x, y, overlayWidth, overlayHeight);
+                presenter.track.requestFrame();
+                
+                if (result) {
+                    updatePerformanceMetrics(result.segmentationTime, result.totalTime);
+                }
+            } catch (error) {
+                updateDebugInfo(`Error rendering presenter frame: ${error.message}`, 'error');
+            }
+        }
+        
+        const elapsed = performance.now() - frameStart;
+        presenter.timer = setTimeout(renderPresenterFrame, Math.max(0, 1000 / PRESENTER_FPS - elapsed));
+    }
+
+    /**
+     * Stop presenter mode and release its resources
+     */
+    function stopPresenterMode() {
+        if (!presenter.track) return;
+        
+        clearTimeout(presenter.timer);
+        presenter.track.stop();
+        presenter.screenVideo.srcObject = null;
+        presenter.screenVideo = null;
+        presenter.outputCanvas = null;
+        presenter.cameraCanvas = null;
+        presenter.screenCrop = null;
+        presenter.track = null;
+        presenter.timer = null;
+        updateDebugInfo('Presenter mode stopped', 'info');
+    }
+
     /**
      * Start metrics updates
      */
@@ -690,39 +890,53 @@ export function initVirtualBackground(uiElements) {
         const file = uiElements.customBackgroundInput.files[0];
         if (!file) return;
         
+        applyCustomBackgroundFile(file);
+    }
+
+    /**
+     * Load an image file as the custom background, e.g. an upload or a file received in a call
+     * @param {File|Blob} file - The image file
+     * @returns {Promise<boolean>} - Whether the image was loaded
+     */
+    function applyCustomBackgroundFile(file) {
         // Validate file is an image and not too large
         if (!file.type.startsWith('image/')) {
             showAlert('Please select an image file', 'error');
-            return;
+            return Promise.resolve(false);
         }
         
         if (file.size > 5 * 1024 * 1024) { // 5MB limit
             showAlert('Image is too large. Please select an image under 5MB', 'error');
-            return;
+            return Promise.resolve(false);
         }
         
-        updateDebugInfo('Loading custom background image...');
+        updateDebugInfo('Loading custom background image...', 'info');
         
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            virtualBackground.image = new Image();
-            virtualBackground.image.onload = () => {
-                // Create or show the custom background option
-                createOrShowCustomBackgroundOption();
-                
-                virtualBackground.type = 'custom';
-                setVirtualBackgroundType('custom');
-                updateDebugInfo('Custom background loaded successfully');
-                showCustomBackgroundPreview(virtualBackground.image);
-                showAlert('Custom background loaded successfully', 'success');
-            };
-            virtualBackground.image.onerror = () => {
-                updateDebugInfo('Error loading custom background image');
-                showAlert('Error loading image. Please try another image.', 'error');
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                virtualBackground.image = new Image();
+                virtualBackground.image.onload = () => {
+                    // Create or show the custom background option
+                    createOrShowCustomBackgroundOption();
+                    
+                    virtualBackground.type = 'custom';
+                    setVirtualBackgroundType('custom');
+                    updateDebugInfo('Custom background loaded successfully', 'info');
+                    showCustomBackgroundPreview(virtualBackground.image);
+                    showAlert('Custom background loaded successfully', 'success');
+                    resolve(true);
+                };
+                virtualBackground.image.onerror = () => {
+                    updateDebugInfo('Error loading custom background image', 'error');
+                    showAlert('Error loading image. Please try another image.', 'error');
+                    resolve(false);
+                };
+                virtualBackground.image.src = event.target.result;
             };
-            virtualBackground.image.src = event.target.result;
-        };
-        reader.readAsDataURL(file);
+            reader.onerror = () => resolve(false);
+            reader.readAsDataURL(file);
+        });
     }
 
     /**
@@ -751,7 +965,7 @@ export function initVirtualBackground(uiElements) {
                 if (uiElements.backgroundSelector) {
                     uiElements.backgroundSelector.appendChild(customOption);
                 } else {
-                    updateDebugInfo('Error: Could not find background selector element');
+                    updateDebugInfo('Error: Could not find background selector element', 'error');
                     return;
                 }
             }
@@ -951,8 +1165,17 @@ export function initVirtualBackground(uiElements) {
         loadModel: loadSelectedModel,
         uploadCustomBackground,
         isEnabled: () => virtualBackground.enabled,
+        setScreenShareActive: (active) => { virtualBackground.screenShareActive = active; },
+        updateSourceStream,
+        onStateChange,
+        getEffectState,
+        setReducedQuality,
+        isReducedQuality: () => virtualBackground.reducedQuality,
+        startPresenterMode,
+        stopPresenterMode,
         getCurrentModel: () => virtualBackground.model,
         getCurrentVideoTrack: () => virtualBackground.videoTrack,
+        getCanvasStream: () => virtualBackground.canvasStream,
         setContext,
         resetMetrics,
         reloadBackgroundModel,
@@ -991,6 +1214,7 @@ export function initVirtualBackground(uiElements) {
         updateComparisonMetrics,
         createComparisonSection,
         handleCustomBackgroundSelected,
+        applyCustomBackgroundFile,
         createOrShowCustomBackgroundOption,
         showCustomBackgroundPreview
     };
@@ -0,0 +1,123 @@
+// Connection recovery service for bringing dropped peer connections back
+
+/**
+ * Recovery states a peer connection walks through after a network drop
+ */
+export const RECOVERY_STATES = {
+    CONNECTED: 'connected',
+    WAITING: 'waiting',
+    RESTARTING: 'restarting',
+    REBUILDING: 'rebuilding',
+    FAILED: 'failed'
+};
+
+/**
+ * Sets up the recovery state machine for peer connections:
+ * wait a grace period, then restart ICE, then rebuild the whole connection
+ * @param {Object} handlers - Recovery actions
+ * @param {Function} handlers.restartIce - Called with the peer id to restart ICE and renegotiate
+ * @param {Function} handlers.rebuild - Called with the peer id to replace the peer connection
+ * @param {Function} handlers.onStateChange - Called with the peer id and new recovery state
+ * @param {Object} options - Timing options in milliseconds
+ * @returns {Object} - Recovery service methods
+ */
+export function setupConnectionRecovery(handlers, options = {}) {
+    const gracePeriod = options.gracePeriod || 5000;
+    const restartTimeout = options.restartTimeout || 10000;
+    const rebuildTimeout = options.rebuildTimeout || 15000;
+
+    // Peer id -> { state, timer } for connections currently being recovered
+    const recoveries = new Map();
+
+    /**
+     * Move a peer to a new recovery state and schedule the next step
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {string} state - One of RECOVERY_STATES
+     * @param {Function} nextStep - Step to run if the state times out
+     * @param {number} timeout - Time before running the next step
+     */
+    function transition(peerId, state, nextStep, timeout) {
+        const recovery = recoveries.get(peerId) || {};
+        clearTimeout(recovery.timer);
+        recovery.state = state;
+        recovery.timer = nextStep ? setTimeout(() => nextStep(peerId), timeout) : null;
+        recoveries.set(peerId, recovery);
+        handlers.onStateChange(peerId, state);
+    }
+
+    /**
+     * Restart ICE once the grace period passed without the connection coming back
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    function restartIce(peerId) {
+        transition(peerId, RECOVERY_STATES.RESTARTING, rebuild, restartTimeout);
+        handlers.restartIce(peerId);
+    }
+
+    /**
+     * Rebuild the peer connection once the ICE restart did not help
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    function rebuild(peerId) {
+        transition(peerId, RECOVERY_STATES.REBUILDING, fail, rebuildTimeout);
+        handlers.rebuild(peerId);
+    }
+
+    /**
+     * Give up on the connection
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    function fail(peerId) {
+        recoveries.delete(peerId);
+        handlers.onStateChange(peerId, RECOVERY_STATES.FAILED);
+    }
+
+    /**
+     * Feed a peer connection state change into the state machine
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {string} connectionState - RTCPeerConnection.connectionState
+     */
+    function handleConnectionState(peerId, connectionState) {
+        const recovery = recoveries.get(peerId);
+
+        if (connectionState === 'connected') {
+            if (recovery) {
+                clearTimeout(recovery.timer);
+                recoveries.delete(peerId);
+                handlers.onStateChange(peerId, RECOVERY_STATES.CONNECTED);
+            }
+            return;
+        }
+
+        if (connectionState !== 'disconnected' && connectionState !== 'failed') return;
+
+        if (!recovery) {
+            // 'disconnected' often heals by itself, 'failed' never does
+            if (connectionState === 'failed') {
+                restartIce(peerId);
+            } else {
+                transition(peerId, RECOVERY_STATES.WAITING, restartIce, gracePeriod);
+            }
+        } else if (connectionState === 'failed' && recovery.state === RECOVERY_STATES.WAITING) {
+            restartIce(peerId);
+        }
+    }
+
+    /**
+     * Stop recovering a peer, e.g. because the participant left
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    function cancel(peerId) {
+        const recovery = recoveries.get(peerId);
+        if (recovery) {
+            clearTimeout(recovery.timer);
+            recoveries.delete(peerId);
+        }
+    }
+
+    return {
+        handleConnectionState,
+        cancel,
+        getState: (peerId) => recoveries.has(peerId) ? recoveries.get(peerId).state : RECOVERY_STATES.CONNECTED
+    };
+}
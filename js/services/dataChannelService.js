@@ -0,0 +1,165 @@
+// Data channel service for peer-to-peer chat and control messages
+import { updateDebugInfo } from '../utils/generalUtils.js';
+
+/**
+ * Message types of the control channel protocol
+ * Every message is JSON: { v, type, id, ts, payload }
+ */
+export const MESSAGE_TYPES = {
+    CHAT: 'chat',                 // payload: { text }
+    RAISE_HAND: 'raise-hand',     // payload: { raised }
+    REACTION: 'reaction',         // payload: { emoji }
+    EFFECT_STATE: 'effect-state'  // payload: { enabled, type, model }
+};
+
+const PROTOCOL_VERSION = 1;
+const CONTROL_CHANNEL_ID = 0; // Negotiated id, the same on both sides
+const MAX_QUEUED_MESSAGES = 100;
+
+/**
+ * Sets up one reliable, ordered data channel per peer connection
+ * Channels are negotiated (same id on both sides), so either side can create them
+ * without waiting for ondatachannel, and they come back automatically when a
+ * peer connection is rebuilt
+ * @param {Object} handlers - Channel event handlers
+ * @param {Function} handlers.onMessage - Called with the peer id and the decoded message
+ * @param {Function} handlers.onOpen - Called with the peer id when its channel opens
+ * @returns {Object} - Data channel service methods
+ */
+export function setupDataChannels(handlers) {
+    const channels = new Map(); // Peer id -> RTCDataChannel
+    const queues = new Map(); // Peer id -> serialized messages waiting for the channel to open
+    let messageCounter = 0;
+
+    /**
+     * Send everything queued for a peer once its channel is open
+     * @param {string} peerId - Id of the remote participant
+     */
+    function flushQueue(peerId) {
+        const channel = channels.get(peerId);
+        const queue = queues.get(peerId);
+        if (!channel || channel.readyState !== 'open' || !queue) return;
+
+        queue.forEach(data => channel.send(data));
+        queues.delete(peerId);
+        updateDebugInfo(`Sent ${queue.length} queued message(s) to ${peerId}`, 'debug');
+    }
+
+    /**
+     * Decode and validate an incoming message
+     * @param {string} data - Raw message data
+     * @returns {Object|null} - The message, or null if it is not part of the protocol
+     */
+    function decode(data) {
+        try {
+            const message = JSON.parse(data);
+            if (message.v !== PROTOCOL_VERSION || !Object.values(MESSAGE_TYPES).includes(message.type)) {
+                return null;
+            }
+            return message;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Create the control channel on a peer connection
+     * @param {string} peerId - Id of the remote participant
+     * @param {RTCPeerConnection} peerConnection - The peer connection to add the channel to
+     */
+    function attach(peerId, peerConnection) {
+        const channel = peerConnection.createDataChannel('control', {
+            negotiated: true,
+            id: CONTROL_CHANNEL_ID,
+            ordered: true
+        });
+        channels.set(peerId, channel);
+
+        channel.onopen = () => {
+            updateDebugInfo(`Data channel with ${peerId} open`, 'info');
+            flushQueue(peerId);
+            handlers.onOpen(peerId);
+        };
+
+        channel.onclose = () => {
+            updateDebugInfo(`Data channel with ${peerId} closed`, 'info');
+        };
+
+        channel.onmessage = event => {
+            const message = decode(event.data);
+            if (!message) {
+                updateDebugInfo(`Ignored invalid data channel message from ${peerId}`, 'warn');
+                return;
+            }
+            handlers.onMessage(peerId, message);
+        };
+    }
+
+    /**
+     * Forget a peer's channel
+     * @param {string} peerId - Id of the remote participant
+     * @param {boolean} keepQueue - Keep queued messages, e.g. while the connection is rebuilt
+     */
+    function detach(peerId, keepQueue = false) {
+        const channel = channels.get(peerId);
+        if (channel) {
+            channel.onopen = channel.onclose = channel.onmessage = null;
+            channel.close();
+            channels.delete(peerId);
+        }
+        if (!keepQueue) {
+            queues.delete(peerId);
+        }
+    }
+
+    /**
+     * Send a message to one peer, queueing it until the channel is open
+     * @param {string} peerId - Id of the remote participant
+     * @param {string} type - One of MESSAGE_TYPES
+     * @param {Object} payload - Message payload
+     * @returns {Object} - The message that was sent or queued
+     */
+    function send(peerId, type, payload = {}) {
+        const message = {
+            v: PROTOCOL_VERSION,
+            type,
+            id: `${Date.now().toString(36)}-${(messageCounter++).toString(36)}`,
+            ts: Date.now(),
+            payload
+        };
+        const data = JSON.stringify(message);
+        const channel = channels.get(peerId);
+
+        if (channel && channel.readyState === 'open') {
+            channel.send(data);
+        } else {
+            const queue = queues.get(peerId) || [];
+            queue.push(data);
+            // Drop the oldest messages rather than growing without limit
+            queues.set(peerId, queue.slice(-MAX_QUEUED_MESSAGES));
+        }
+        return message;
+    }
+
+    /**
+     * Send a message to every peer
+     * @param {string} type - One of MESSAGE_TYPES
+     * @param {Object} payload - Message payload
+     * @returns {Object|null} - The message sent to the last peer, or null without peers
+     */
+    function broadcast(type, payload = {}) {
+        let message = null;
+        channels.forEach((channel, peerId) => {
+            message = send(peerId, type, payload);
+        });
+        return message;
+    }
+
+    return {
+        attach,
+        detach,
+        send,
+        broadcast,
+        isOpen: (peerId) => channels.get(peerId)?.readyState === 'open'
+    };
+}
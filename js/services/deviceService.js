@@ -0,0 +1,198 @@
+// Device service for choosing the camera, microphone and capture quality
+import { updateDebugInfo } from '../utils/generalUtils.js';
+
+/**
+ * Capture resolutions offered in the settings panel
+ */
+export const RESOLUTIONS = {
+    '360p': { width: 640, height: 360 },
+    '480p': { width: 640, height: 480 },
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 }
+};
+
+/**
+ * Frame rates offered in the settings panel
+ */
+export const FRAME_RATES = [15, 24, 30];
+
+/**
+ * Set up the device settings panel: device lists, resolution and frame rate
+ * @param {Object} uiElements - UI element references
+ * @returns {Object} - Device service methods
+ */
+export function setupDeviceService(uiElements) {
+    // Empty device ids mean the browser's default device
+    const settings = {
+        videoDeviceId: '',
+        audioDeviceId: '',
+        resolution: '480p',
+        frameRate: 30
+    };
+    const deviceChangeListeners = [];
+
+    /**
+     * Build getUserMedia constraints from the current settings
+     * @param {Object} kinds - Which constraints to include
+     * @param {boolean} kinds.video - Include video constraints
+     * @param {boolean} kinds.audio - Include audio constraints
+     * @returns {MediaStreamConstraints} - Constraints for getUserMedia
+     */
+    function getConstraints({ video = true, audio = true } = {}) {
+        const constraints = {};
+
+        if (video) {
+            const resolution = RESOLUTIONS[settings.resolution] || RESOLUTIONS['480p'];
+            constraints.video = {
+                width: { ideal: resolution.width },
+                height: { ideal: resolution.height },
+                frameRate: { ideal: settings.frameRate }
+            };
+            if (settings.videoDeviceId) {
+                constraints.video.deviceId = { exact: settings.videoDeviceId };
+            }
+        }
+
+        if (audio) {
+            constraints.audio = settings.audioDeviceId ? { deviceId: { exact: settings.audioDeviceId } } : true;
+        }
+
+        return constraints;
+    }
+
+    /**
+     * Fill a select element with options, keeping the selected value if it is still there
+     * @param {HTMLSelectElement} select - The select element to fill
+     * @param {Array<{value: string, label: string}>} options - Options to show
+     * @param {string} selected - Value to select
+     */
+    function fillSelect(select, options, selected) {
+        if (!select) return;
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = options.some(option => option.value === String(selected)) ? String(selected) : options[0]?.value ?? '';
+    }
+
+    /**
+     * List the cameras and microphones and refresh the settings panel
+     * Device labels are only available once camera/mic permission is granted
+     * @returns {Promise<MediaDeviceInfo[]>} - The available devices
+     */
+    async function refreshDevices() {
+        let devices = [];
+        try {
+            devices = await navigator.mediaDevices.enumerateDevices();
+        } catch (error) {
+            updateDebugInfo(`Could not list media devices: ${error.message}`, 'error');
+            return devices;
+        }
+
+        const toOptions = (kind, fallbackLabel) => devices
+            .filter(device => device.kind === kind && device.deviceId)
+            .map((device, index) => ({ value: device.deviceId, label: device.label || `${fallbackLabel} ${index + 1}` }));
+
+        const cameras = toOptions('videoinput', 'Camera');
+        const microphones = toOptions('audioinput', 'Microphone');
+
+        // A selected device that was unplugged falls back to the default one
+        if (settings.videoDeviceId && !cameras.some(camera => camera.value === settings.videoDeviceId)) {
+            settings.videoDeviceId = '';
+        }
+        if (settings.audioDeviceId && !microphones.some(mic => mic.value === settings.audioDeviceId)) {
+            settings.audioDeviceId = '';
+        }
+
+        fillSelect(uiElements.cameraSelect, [{ value: '', label: 'Default camera' }, ...cameras], settings.videoDeviceId);
+        fillSelect(uiElements.microphoneSelect, [{ value: '', label: 'Default microphone' }, ...microphones], settings.audioDeviceId);
+        fillSelect(uiElements.resolutionSelect,
+            Object.keys(RESOLUTIONS).map(name => ({ value: name, label: name })), settings.resolution);
+        fillSelect(uiElements.frameRateSelect,
+            FRAME_RATES.map(fps => ({ value: String(fps), label: `${fps} fps` })), settings.frameRate);
+
+        updateDebugInfo(`Found ${cameras.length} camera(s) and ${microphones.length} microphone(s)`, 'info');
+        return devices;
+    }
+
+    /**
+     * Record the devices that are actually in use, e.g. after the browser picked the defaults
+     * @param {MediaStream} stream - The local camera/mic stream
+     */
+    function syncWithStream(stream) {
+        const videoTrack = stream.getVideoTracks()[0];
+        const audioTrack = stream.getAudioTracks()[0];
+        if (videoTrack && uiElements.cameraSelect) {
+            const { deviceId } = videoTrack.getSettings();
+            if (deviceId && Array.from(uiElements.cameraSelect.options).some(option => option.value === deviceId)) {
+                uiElements.cameraSelect.value = deviceId;
+            }
+        }
+        if (audioTrack && uiElements.microphoneSelect) {
+            const { deviceId } = audioTrack.getSettings();
+            if (deviceId && Array.from(uiElements.microphoneSelect.options).some(option => option.value === deviceId)) {
+                uiElements.microphoneSelect.value = deviceId;
+            }
+        }
+    }
+
+    /**
+     * Show the selected devices of the current settings, e.g. after a switch to another device failed
+     */
+    function showDeviceSettings() {
+        if (uiElements.cameraSelect) uiElements.cameraSelect.value = settings.videoDeviceId;
+        if (uiElements.microphoneSelect) uiElements.microphoneSelect.value = settings.audioDeviceId;
+    }
+
+    /**
+     * Update the settings, e.g. from the settings panel
+     * @param {Object} changes - Settings to change
+     * @returns {Object} - Which tracks need to be recaptured
+     */
+    function updateSettings(changes) {
+        const before = { ...settings };
+        Object.assign(settings, changes);
+        if (changes.frameRate !== undefined) {
+            settings.frameRate = Number(changes.frameRate);
+        }
+
+        return {
+            video: settings.videoDeviceId !== before.videoDeviceId ||
+                   settings.resolution !== before.resolution ||
+                   settings.frameRate !== before.frameRate,
+            audio: settings.audioDeviceId !== before.audioDeviceId
+        };
+    }
+
+    /**
+     * Register a listener for device changes (plugging or unplugging a device)
+     * @param {Function} listener - Called with the kinds whose selected device disappeared
+     */
+    function onDeviceChange(listener) {
+        deviceChangeListeners.push(listener);
+    }
+
+    navigator.mediaDevices?.addEventListener('devicechange', async () => {
+        const before = { ...settings };
+        await refreshDevices();
+        const lost = {
+            video: !!before.videoDeviceId && !settings.videoDeviceId,
+            audio: !!before.audioDeviceId && !settings.audioDeviceId
+        };
+        updateDebugInfo(`Media devices changed${lost.video || lost.audio ? ', selected device removed' : ''}`, 'info');
+        deviceChangeListeners.forEach(listener => listener(lost));
+    });
+
+    return {
+        getConstraints,
+        refreshDevices,
+        syncWithStream,
+        showDeviceSettings,
+        updateSettings,
+        onDeviceChange,
+        getSettings: () => ({ ...settings })
+    };
+}
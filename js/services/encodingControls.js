@@ -0,0 +1,145 @@
+// Encoding controls for the outgoing video: simulcast, bitrate, resolution and degradation
+
+/**
+ * Simulcast layers, highest quality first
+ * bitrateShare splits the configured max bitrate between the layers
+ */
+export const SIMULCAST_LAYERS = [
+    { rid: 'h', scaleResolutionDownBy: 1, bitrateShare: 0.6 },
+    { rid: 'm', scaleResolutionDownBy: 2, bitrateShare: 0.3 },
+    { rid: 'l', scaleResolutionDownBy: 4, bitrateShare: 0.1 }
+];
+
+/**
+ * Default encoding settings
+ * maxBitrate 0 leaves the bitrate to the browser's congestion control
+ */
+export const DEFAULT_ENCODING_SETTINGS = {
+    simulcast: false,
+    maxBitrate: 0,
+    scaleResolutionDownBy: 1,
+    degradationPreference: 'balanced',
+    capToBackgroundOutput: true
+};
+
+/**
+ * Build the send encodings for a new video transceiver
+ * Only the offering side can set up simulcast; in a peer-to-peer call the remote
+ * browser usually accepts just one layer, so this mostly matters with an SFU
+ * @param {Object} settings - Encoding settings
+ * @returns {RTCRtpEncodingParameters[]} - Encodings for addTransceiver
+ */
+export function buildSendEncodings(settings) {
+    if (!settings.simulcast) {
+        return [{}];
+    }
+    return SIMULCAST_LAYERS.map(layer => ({
+        rid: layer.rid,
+        scaleResolutionDownBy: layer.scaleResolutionDownBy
+    }));
+}
+
+/**
+ * Apply the encoding settings to a video sender with setParameters
+ * @param {RTCRtpSender} sender - The video sender
+ * @param {Object} settings - Encoding settings
+ * @param {Object|null} cap - Limits from the virtual background output: { height, frameRate }
+ * @returns {Promise<boolean>} - False if the sender has not been negotiated yet
+ */
+export async function applyEncodingParameters(sender, settings, cap = null) {
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+        return false;
+    }
+
+    // Never send more pixels than the source (e.g. the model's output canvas) provides
+    let baseScale = Math.max(1, Number(settings.scaleResolutionDownBy) || 1);
+    const sourceHeight = sender.track ? sender.track.getSettings().height : 0;
+    if (cap && cap.height && sourceHeight > cap.height) {
+        baseScale = Math.max(baseScale, sourceHeight / cap.height);
+    }
+
+    const simulcast = parameters.encodings.length > 1;
+    parameters.encodings.forEach(encoding => {
+        const layer = simulcast ? SIMULCAST_LAYERS.find(l => l.rid === encoding.rid) : null;
+        encoding.scaleResolutionDownBy = baseScale * (layer ? layer.scaleResolutionDownBy : 1);
+
+        if (settings.maxBitrate > 0) {
+            encoding.maxBitrate = Math.round(settings.maxBitrate * (layer ? layer.bitrateShare : 1));
+        } else {
+            delete encoding.maxBitrate;
+        }
+
+        // Frames the model can't produce would only be duplicates
+        if (cap && cap.frameRate) {
+            encoding.maxFramerate = cap.frameRate;
+        } else {
+            delete encoding.maxFramerate;
+        }
+    });
+
+    parameters.degradationPreference = settings.degradationPreference;
+    await sender.setParameters(parameters);
+    return true;
+}
+
+// Video codecs offered for selection; rtx, red and fec entries always stay in the list
+const SELECTABLE_CODECS = ['video/VP8', 'video/VP9', 'video/H264', 'video/AV1'];
+const CODEC_STORAGE_KEY = 'segmentationLab.videoCodec';
+
+/**
+ * List the selectable video codecs this browser can send
+ * @returns {string[]} - Codec mime types, e.g. 'video/VP9'
+ */
+export function getSelectableVideoCodecs() {
+    if (!window.RTCRtpSender || !RTCRtpSender.getCapabilities) return [];
+    const capabilities = RTCRtpSender.getCapabilities('video');
+    if (!capabilities) return [];
+
+    const available = new Set(capabilities.codecs.map(codec => codec.mimeType.toLowerCase()));
+    return SELECTABLE_CODECS.filter(mimeType => available.has(mimeType.toLowerCase()));
+}
+
+/**
+ * Order the browser's video codecs so the preferred one comes first
+ * @param {string} mimeType - Preferred codec, or '' for the browser default
+ * @returns {RTCRtpCodec[]} - Codecs for setCodecPreferences (empty resets to the default)
+ */
+export function getCodecPreferences(mimeType) {
+    if (!mimeType || !window.RTCRtpReceiver || !RTCRtpReceiver.getCapabilities) return [];
+
+    // Preferences must be a subset of what this side can receive
+    const codecs = RTCRtpReceiver.getCapabilities('video').codecs;
+    const preferred = codecs.filter(codec => codec.mimeType.toLowerCase() === mimeType.toLowerCase());
+    if (preferred.length === 0) return [];
+
+    return [...preferred, ...codecs.filter(codec => !preferred.includes(codec))];
+}
+
+/**
+ * Load the saved codec choice
+ * @returns {string} - Codec mime type, or '' for the browser default
+ */
+export function loadCodecPreference() {
+    try {
+        return localStorage.getItem(CODEC_STORAGE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Save the codec choice for the next sessions
+ * @param {string} mimeType - Codec mime type, or '' for the browser default
+ */
+export function saveCodecPreference(mimeType) {
+    try {
+        if (mimeType) {
+            localStorage.setItem(CODEC_STORAGE_KEY, mimeType);
+        } else {
+            localStorage.removeItem(CODEC_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage can be unavailable (e.g. private mode); the choice then lasts for this session
+    }
+}
@@ -0,0 +1,391 @@
+// File transfer service for sending files peer-to-peer over a data channel
+import { updateDebugInfo } from '../utils/generalUtils.js';
+
+const FILE_CHANNEL_ID = 1; // Negotiated id, next to the control channel
+const CHUNK_SIZE = 16 * 1024; // Safe message size across browsers
+const BUFFER_HIGH_WATER = 1024 * 1024; // Pause sending above this many buffered bytes
+const BUFFER_LOW_WATER = 256 * 1024; // Resume once the buffer drained below this
+const PROGRESS_INTERVAL = 100; // Minimum ms between progress updates
+
+/**
+ * Largest file that can be sent or received
+ */
+export const MAX_FILE_SIZE = 200 * 1024 * 1024;
+
+/**
+ * Compute the hex SHA-256 checksum of some data
+ * @param {ArrayBuffer} buffer - Data to hash
+ * @returns {Promise<string>} - Hex encoded checksum
+ */
+async function sha256(buffer) {
+    const hash = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sets up chunked file transfer over one dedicated data channel per peer
+ * Control messages (start, end, cancel, ack) are JSON strings, file data is sent as
+ * binary chunks in between; a peer sends one file at a time, so chunks always belong
+ * to the last started transfer
+ * @param {Object} handlers - Transfer event handlers
+ * @param {Function} handlers.onUpdate - Called with a transfer whenever its status or progress changes
+ * @returns {Object} - File transfer service methods
+ */
+export function setupFileTransfers(handlers) {
+    const channels = new Map(); // Peer id -> RTCDataChannel
+    const transfers = new Map(); // Transfer key -> transfer
+    const incoming = new Map(); // Peer id -> { transfer, chunks } being received
+    const sendChains = new Map(); // Peer id -> promise of the last queued send, to send one file at a time
+    const lastProgress = new Map(); // Transfer key -> time of the last progress update
+
+    /**
+     * Update a transfer and tell the UI about it
+     * @param {Object} transfer - The transfer to update
+     * @param {Object} changes - Fields to change
+     */
+    function update(transfer, changes = {}) {
+        Object.assign(transfer, changes);
+        lastProgress.set(transfer.key, performance.now());
+        handlers.onUpdate(transfer);
+    }
+
+    /**
+     * Report progress, at most every PROGRESS_INTERVAL ms
+     * @param {Object} transfer - The transfer that made progress
+     */
+    function reportProgress(transfer) {
+        if (performance.now() - (lastProgress.get(transfer.key) || 0) >= PROGRESS_INTERVAL) {
+            update(transfer);
+        }
+    }
+
+    /**
+     * Send a control message if the channel is open
+     * @param {string} peerId - Id of the remote participant
+     * @param {Object} message - Control message
+     */
+    function sendControl(peerId, message) {
+        const channel = channels.get(peerId);
+        if (channel && channel.readyState === 'open') {
+            channel.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Wait until a channel is open
+     * @param {RTCDataChannel} channel - The channel to wait for
+     * @returns {Promise<void>} - Rejects if the channel closes first
+     */
+    function waitForOpen(channel) {
+        if (channel.readyState === 'open') return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            channel.addEventListener('open', () => resolve(), { once: true });
+            channel.addEventListener('close', () => reject(new Error('Data channel closed')), { once: true });
+        });
+    }
+
+    /**
+     * Wait until the channel's send buffer drained below the low water mark
+     * @param {RTCDataChannel} channel - The channel to wait for
+     * @returns {Promise<void>}
+     */
+    function waitForBufferDrain(channel) {
+        return new Promise(resolve => {
+            channel.addEventListener('bufferedamountlow', () => resolve(), { once: true });
+            // The send loop checks readyState, so closing just needs to wake it up
+            channel.addEventListener('close', () => resolve(), { once: true });
+        });
+    }
+
+    /**
+     * Read a file and compute its checksum, once for all the peers it is sent to
+     * @param {File} file - The file to send
+     * @returns {Promise<Object>} - { buffer, checksum }
+     */
+    async function readFile(file) {
+        const buffer = await file.arrayBuffer();
+        return { buffer, checksum: await sha256(buffer) };
+    }
+
+    /**
+     * Send a file to a peer, chunk by chunk with backpressure
+     * @param {Object} transfer - The outgoing transfer
+     * @param {Promise<Object>} contents - { buffer, checksum } from readFile
+     */
+    async function runSend(transfer, contents) {
+        if (transfer.status === 'cancelled') return;
+
+        const channel = channels.get(transfer.peerId);
+        if (!channel) throw new Error('Participant is not connected');
+        await waitForOpen(channel);
+
+        const { buffer, checksum } = await contents;
+        if (transfer.status === 'cancelled') return;
+
+        update(transfer, { status: 'active' });
+        sendControl(transfer.peerId, {
+            type: 'file-start',
+            id: transfer.id,
+            name: transfer.name,
+            size: transfer.size,
+            mimeType: transfer.mimeType,
+            sha256: checksum
+        });
+
+        for (let offset = 0; offset < buffer.byteLength; offset += CHUNK_SIZE) {
+            if (transfer.status === 'cancelled') return;
+            if (channel.readyState !== 'open') throw new Error('Data channel closed');
+
+            if (channel.bufferedAmount > BUFFER_HIGH_WATER) {
+                await waitForBufferDrain(channel);
+                if (transfer.status === 'cancelled') return;
+                if (channel.readyState !== 'open') throw new Error('Data channel closed');
+            }
+
+            channel.send(buffer.slice(offset, offset + CHUNK_SIZE));
+            transfer.transferred = Math.min(offset + CHUNK_SIZE, buffer.byteLength);
+            reportProgress(transfer);
+        }
+
+        sendControl(transfer.peerId, { type: 'file-end', id: transfer.id });
+        // Done once the receiver confirms the checksum
+        update(transfer, { status: 'verifying' });
+    }
+
+    /**
+     * Queue a file to be sent to a peer
+     * @param {string} peerId - Id of the remote participant
+     * @param {File} file - The file to send
+     * @param {Promise<Object>} [contents] - readFile result shared when sending the file to several peers
+     * @returns {Object|null} - The new transfer, or null if the file is too large
+     */
+    function sendFile(peerId, file, contents = null) {
+        if (file.size > MAX_FILE_SIZE) return null;
+
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        const transfer = {
+            key: `send:${peerId}:${id}`,
+            id,
+            peerId,
+            direction: 'send',
+            name: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            transferred: 0,
+            status: 'pending'
+        };
+        transfers.set(transfer.key, transfer);
+        update(transfer);
+
+        const chain = (sendChains.get(peerId) || Promise.resolve())
+            .then(() => runSend(transfer, contents || readFile(file)))
+            .catch(error => {
+                updateDebugInfo(`File transfer of ${file.name} to ${peerId} failed: ${error.message}`, 'error');
+                if (transfer.status !== 'cancelled') {
+                    update(transfer, { status: 'failed', error: error.message });
+                }
+            });
+        sendChains.set(peerId, chain);
+        return transfer;
+    }
+
+    /**
+     * Finish receiving a file: assemble the chunks and verify the checksum
+     * @param {string} peerId - Id of the remote participant
+     * @param {Object} receiving - { transfer, chunks } being received
+     */
+    async function completeReceive(peerId, receiving) {
+        const { transfer, chunks } = receiving;
+        incoming.delete(peerId);
+        update(transfer, { status: 'verifying' });
+
+        const blob = new Blob(chunks, { type: transfer.mimeType });
+        const checksum = await sha256(await blob.arrayBuffer());
+        const ok = blob.size === transfer.size && checksum === transfer.sha256;
+        sendControl(peerId, { type: 'file-ack', id: transfer.id, ok });
+
+        if (ok) {
+            const file = new File([blob], transfer.name, { type: transfer.mimeType });
+            update(transfer, { status: 'done', file, url: URL.createObjectURL(file) });
+        } else {
+            update(transfer, { status: 'failed', error: 'Checksum mismatch' });
+        }
+    }
+
+    /**
+     * Handle a control message from a peer
+     * @param {string} peerId - Id of the remote participant
+     * @param {Object} message - Decoded control message
+     */
+    function handleControl(peerId, message) {
+        const receiving = incoming.get(peerId);
+
+        switch (message.type) {
+            case 'file-start': {
+                if (receiving) {
+                    update(receiving.transfer, { status: 'failed', error: 'Interrupted by another file' });
+                }
+                const size = Number(message.size);
+                // Strip path separators, the name is used for the download
+                const name = String(message.name || 'file').replace(/[\\/]/g, '_').slice(0, 255);
+                const transfer = {
+                    key: `receive:${peerId}:${message.id}`,
+                    id: String(message.id),
+                    peerId,
+                    direction: 'receive',
+                    name,
+                    size,
+                    mimeType: String(message.mimeType || 'application/octet-stream'),
+                    sha256: String(message.sha256),
+                    transferred: 0,
+                    status: 'active'
+                };
+                transfers.set(transfer.key, transfer);
+
+                if (!Number.isFinite(size) || size < 0 || size > MAX_FILE_SIZE) {
+                    sendControl(peerId, { type: 'file-cancel', id: transfer.id });
+                    update(transfer, { status: 'failed', error: 'File is too large' });
+                    return;
+                }
+                incoming.set(peerId, { transfer, chunks: [] });
+                update(transfer);
+                break;
+            }
+            case 'file-end':
+                if (receiving && receiving.transfer.id === message.id) {
+                    completeReceive(peerId, receiving).catch(error => {
+                        update(receiving.transfer, { status: 'failed', error: error.message });
+                    });
+                }
+                break;
+            case 'file-cancel': {
+                if (receiving && receiving.transfer.id === message.id) {
+                    incoming.delete(peerId);
+                    update(receiving.transfer, { status: 'cancelled' });
+                }
+                const outgoing = transfers.get(`send:${peerId}:${message.id}`);
+                if (outgoing && !['done', 'failed', 'cancelled'].includes(outgoing.status)) {
+                    update(outgoing, { status: 'cancelled' });
+                }
+                break;
+            }
+            case 'file-ack': {
+                const outgoing = transfers.get(`send:${peerId}:${message.id}`);
+                if (outgoing && outgoing.status === 'verifying') {
+                    update(outgoing, message.ok ? { status: 'done' } : { status: 'failed', error: 'Checksum mismatch' });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Handle a binary chunk of the file currently being received
+     * @param {string} peerId - Id of the remote participant
+     * @param {ArrayBuffer} chunk - File data
+     */
+    function handleChunk(peerId, chunk) {
+        const receiving = incoming.get(peerId);
+        if (!receiving) return; // Cancelled, remaining chunks are dropped
+
+        const { transfer, chunks } = receiving;
+        chunks.push(chunk);
+        transfer.transferred += chunk.byteLength;
+
+        if (transfer.transferred > transfer.size) {
+            incoming.delete(peerId);
+            sendControl(peerId, { type: 'file-cancel', id: transfer.id });
+            update(transfer, { status: 'failed', error: 'Received more data than announced' });
+            return;
+        }
+        reportProgress(transfer);
+    }
+
+    /**
+     * Create the file channel on a peer connection
+     * @param {string} peerId - Id of the remote participant
+     * @param {RTCPeerConnection} peerConnection - The peer connection to add the channel to
+     */
+    function attach(peerId, peerConnection) {
+        const channel = peerConnection.createDataChannel('files', {
+            negotiated: true,
+            id: FILE_CHANNEL_ID,
+            ordered: true
+        });
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+        channels.set(peerId, channel);
+
+        channel.onmessage = event => {
+            if (typeof event.data === 'string') {
+                try {
+                    handleControl(peerId, JSON.parse(event.data));
+                } catch (error) {
+                    updateDebugInfo(`Ignored invalid file transfer message from ${peerId}`, 'warn');
+                }
+            } else {
+                handleChunk(peerId, event.data);
+            }
+        };
+    }
+
+    /**
+     * Forget a peer's channel, failing its unfinished transfers
+     * @param {string} peerId - Id of the remote participant
+     */
+    function detach(peerId) {
+        const channel = channels.get(peerId);
+        if (channel) {
+            channel.onmessage = null;
+            channel.close();
+            channels.delete(peerId);
+        }
+        incoming.delete(peerId);
+        sendChains.delete(peerId);
+
+        transfers.forEach(transfer => {
+            if (transfer.peerId === peerId && ['pending', 'active', 'verifying'].includes(transfer.status)) {
+                update(transfer, { status: 'failed', error: 'Connection closed' });
+            }
+        });
+    }
+
+    /**
+     * Cancel a transfer in either direction
+     * @param {string} key - Transfer key
+     */
+    function cancel(key) {
+        const transfer = transfers.get(key);
+        if (!transfer || !['pending', 'active', 'verifying'].includes(transfer.status)) return;
+
+        if (transfer.direction === 'receive') {
+            incoming.delete(transfer.peerId);
+        }
+        sendControl(transfer.peerId, { type: 'file-cancel', id: transfer.id });
+        update(transfer, { status: 'cancelled' });
+    }
+
+    /**
+     * Drop all transfers and release received files, e.g. when the call ends
+     */
+    function reset() {
+        Array.from(channels.keys()).forEach(detach);
+        transfers.forEach(transfer => {
+            if (transfer.url) {
+                URL.revokeObjectURL(transfer.url);
+            }
+        });
+        transfers.clear();
+        lastProgress.clear();
+    }
+
+    return {
+        attach,
+        detach,
+        readFile,
+        sendFile,
+        cancel,
+        reset,
+        getTransfer: (key) => transfers.get(key)
+    };
+}
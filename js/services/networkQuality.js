@@ -0,0 +1,120 @@
+// Network quality badges and adaptive background effect cost, driven by the stats collector
+import { showAlert } from '../utils/alertUtils.js';
+import { updateDebugInfo } from '../utils/generalUtils.js';
+import { setTileNetworkQuality } from '../components/uiController.js';
+
+// Limits for a 'fair' and a 'poor' connection
+const THRESHOLDS = {
+    fair: { rtt: 200, lossPercent: 2, jitter: 30 },
+    poor: { rtt: 400, lossPercent: 5, jitter: 80 }
+};
+const LEVELS = ['good', 'fair', 'poor'];
+const CPU_LIMIT_DURATION = 6000; // ms of CPU limited encoding before the effect gets cheaper
+
+/**
+ * Rate one stats sample
+ * @param {Object} sample - Sample from the stats collector
+ * @returns {string} - 'good', 'fair' or 'poor'
+ */
+function rateSample(sample) {
+    const values = {
+        rtt: sample.rtt,
+        lossPercent: sample.inbound.lossPercent,
+        jitter: sample.inbound.jitter
+    };
+    const exceeds = limits => Object.keys(limits).some(key => values[key] !== null && values[key] > limits[key]);
+
+    if (exceeds(THRESHOLDS.poor)) return 'poor';
+    if (exceeds(THRESHOLDS.fair) || sample.outbound.qualityLimitationReason === 'bandwidth') return 'fair';
+    return 'good';
+}
+
+/**
+ * Describe a sample for the badge tooltip
+ * @param {Object} sample - Sample from the stats collector
+ * @returns {string} - Short summary
+ */
+function describeSample(sample) {
+    const parts = [];
+    if (sample.rtt !== null) parts.push(`RTT ${Math.round(sample.rtt)} ms`);
+    if (sample.inbound.lossPercent !== null) parts.push(`loss ${sample.inbound.lossPercent}%`);
+    if (sample.inbound.jitter !== null) parts.push(`jitter ${Math.round(sample.inbound.jitter)} ms`);
+    const limitation = sample.outbound.qualityLimitationReason;
+    if (limitation && limitation !== 'none') parts.push(`sending limited by ${limitation}`);
+    return parts.join(', ') || 'Measuring...';
+}
+
+/**
+ * Sets up per-participant network quality badges and lowers the background effect
+ * cost when the encoder reports CPU limitation
+ * @param {Object} uiElements - UI elements references
+ * @param {Object} statsCollector - Call stats collector
+ * @param {Object} backgroundService - Virtual background service
+ * @returns {Object} - Network quality methods
+ */
+export function setupNetworkQuality(uiElements, statsCollector, backgroundService) {
+    const peerLevels = new Map(); // Peer id -> { level, details }
+    let cpuLimitedSince = null;
+
+    /**
+     * Show the worst connection on the local tile, since it affects what everyone else sees of us
+     */
+    function updateLocalBadge() {
+        Array.from(peerLevels.keys()).forEach(peerId => {
+            if (!statsCollector.getLatestSample(peerId)) peerLevels.delete(peerId);
+        });
+        if (peerLevels.size === 0) {
+            setTileNetworkQuality(uiElements, null, null);
+            return;
+        }
+
+        const worst = Array.from(peerLevels.values())
+            .reduce((a, b) => LEVELS.indexOf(b.level) > LEVELS.indexOf(a.level) ? b : a);
+        setTileNetworkQuality(uiElements, null, worst);
+    }
+
+    /**
+     * Make the background effect cheaper once the encoder has been CPU limited for a while
+     * @param {Object} sample - Sample from the stats collector
+     */
+    function checkCpuLimitation(sample) {
+        const reason = sample.outbound.qualityLimitationReason;
+        if (reason !== 'cpu') {
+            if (reason !== null) cpuLimitedSince = null;
+            return;
+        }
+
+        cpuLimitedSince = cpuLimitedSince || sample.ts;
+        if (sample.ts - cpuLimitedSince < CPU_LIMIT_DURATION) return;
+        if (!backgroundService.isEnabled() || backgroundService.isReducedQuality()) return;
+
+        backgroundService.setReducedQuality(true);
+        updateDebugInfo('Encoder is CPU limited, reducing background processing cost', 'warn');
+        showAlert('Your device is short on CPU for video. Background effect quality was lowered to keep the call smooth.', 'warning');
+    }
+
+    statsCollector.onSample(sample => {
+        const quality = { level: rateSample(sample), details: describeSample(sample) };
+        peerLevels.set(sample.peerId, quality);
+        setTileNetworkQuality(uiElements, sample.peerId, quality);
+        updateLocalBadge();
+        checkCpuLimitation(sample);
+    });
+
+    /**
+     * Clear the badges and restore full effect quality, e.g. when the call ends
+     */
+    function reset() {
+        peerLevels.clear();
+        cpuLimitedSince = null;
+        setTileNetworkQuality(uiElements, null, null);
+        if (backgroundService.isReducedQuality()) {
+            backgroundService.setReducedQuality(false);
+        }
+    }
+
+    return {
+        reset,
+        getQuality: (peerId) => peerLevels.get(peerId) || null
+    };
+}
@@ -0,0 +1,277 @@
+// Recording service for saving the composited call video locally
+import { showAlert } from '../utils/alertUtils.js';
+import { formatTime, updateDebugInfo } from '../utils/generalUtils.js';
+import { getAudioContext } from '../utils/audioLevel.js';
+
+// Preferred recording formats, the first one the browser supports is used
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * Sets up local recording with MediaRecorder
+ * The local source is the canvas stream built by backgroundService.toggle, so recordings
+ * show the segmentation exactly as the other participants see it
+ * @param {Object} uiElements - UI elements references
+ * @param {Object} webrtcService - WebRTC service
+ * @param {Object} backgroundService - Virtual background service
+ * @returns {Object} - Recording service methods
+ */
+export function setupRecording(uiElements, webrtcService, backgroundService) {
+    const recording = {
+        recorder: null,
+        chunks: [],
+        mixer: null, // { sources, destination } while audio is mixed
+        startedAt: 0,
+        pausedAt: 0,
+        pausedTotal: 0,
+        timer: null,
+        downloadUrl: null,
+        autoDownload: false
+    };
+
+    /**
+     * Refresh the source list with the local video and every remote participant
+     */
+    function refreshSources() {
+        const select = uiElements.recordingSourceSelect;
+        const selected = select.value;
+        select.innerHTML = '<option value="local">My video (with background effect)</option>';
+
+        webrtcService.getPeerConnections().forEach((peerConnection, peerId) => {
+            const option = document.createElement('option');
+            option.value = peerId;
+            option.textContent = `Participant ${peerId.substring(0, 4)}`;
+            select.appendChild(option);
+        });
+
+        if (Array.from(select.options).some(option => option.value === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Get the stream of the selected source
+     * @param {string} source - 'local' or a remote participant id
+     * @returns {MediaStream|null} - The stream to record
+     */
+    function getSourceStream(source) {
+        if (source === 'local') {
+            // The processed canvas stream when the effect is on, the camera otherwise
+            return backgroundService.isEnabled() && backgroundService.getCanvasStream()
+                ? backgroundService.getCanvasStream()
+                : webrtcService.getLocalStream();
+        }
+
+        const tile = uiElements.videoContainer.querySelector(`.video-wrapper[data-peer-id="${source}"] video`);
+        return tile ? tile.srcObject : null;
+    }
+
+    /**
+     * Mix the local microphone and every remote participant's audio into one track
+     * Participants who join after the recording started are not included, and neither is
+     * our own microphone if it is muted when the recording starts
+     * @returns {MediaStreamTrack|null} - The mixed audio track
+     */
+    function createMixedAudioTrack() {
+        const context = getAudioContext();
+        const destination = context.createMediaStreamDestination();
+        const sources = [];
+
+        const audioTracks = (webrtcService.getLocalStream()?.getAudioTracks() || []).filter(track => track.enabled);
+        webrtcService.getPeerConnections().forEach(peerConnection => {
+            peerConnection.getReceivers()
+                .filter(receiver => receiver.track && receiver.track.kind === 'audio')
+                .forEach(receiver => audioTracks.push(receiver.track));
+        });
+
+        audioTracks.forEach(track => {
+            const source = context.createMediaStreamSource(new MediaStream([track]));
+            source.connect(destination);
+            sources.push(source);
+        });
+
+        recording.mixer = { sources, destination };
+        return destination.stream.getAudioTracks()[0] || null;
+    }
+
+    // Disconnect the audio mixer
+    function releaseMixer() {
+        if (!recording.mixer) return;
+        recording.mixer.sources.forEach(source => source.disconnect());
+        recording.mixer = null;
+    }
+
+    // Elapsed recording time in seconds, without the time spent paused
+    function getElapsedSeconds() {
+        if (!recording.recorder) return 0;
+        const end = recording.recorder.state === 'paused' ? recording.pausedAt : Date.now();
+        return (end - recording.startedAt - recording.pausedTotal) / 1000;
+    }
+
+    // Update buttons and the duration display
+    function updateControls() {
+        const state = recording.recorder ? recording.recorder.state : 'inactive';
+        const recordingActive = state !== 'inactive';
+
+        uiElements.recordingStartButton.innerHTML = recordingActive
+            ? '<i class="fas fa-stop"></i> Stop'
+            : '<i class="fas fa-circle"></i> Record';
+        uiElements.recordingStartButton.classList.toggle('danger', recordingActive);
+        uiElements.recordingPauseButton.disabled = !recordingActive;
+        uiElements.recordingPauseButton.innerHTML = state === 'paused'
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-pause"></i> Pause';
+        uiElements.recordingSourceSelect.disabled = recordingActive;
+        uiElements.recordingMixAudio.disabled = recordingActive;
+        uiElements.recordingDuration.textContent = formatTime(getElapsedSeconds());
+        uiElements.recordingDuration.classList.toggle('recording', state === 'recording');
+        uiElements.toggleRecordingButton.classList.toggle('recording', recordingActive);
+    }
+
+    /**
+     * Start recording the selected source
+     */
+    function start() {
+        if (recording.recorder) return;
+
+        const source = uiElements.recordingSourceSelect.value;
+        const sourceStream = getSourceStream(source);
+        if (!sourceStream || sourceStream.getVideoTracks().length === 0) {
+            showAlert('Nothing to record for the selected source', 'error');
+            return;
+        }
+
+        const tracks = [sourceStream.getVideoTracks()[0]];
+        if (uiElements.recordingMixAudio.checked) {
+            const mixedTrack = createMixedAudioTrack();
+            if (mixedTrack) tracks.push(mixedTrack);
+        } else {
+            tracks.push(...sourceStream.getAudioTracks());
+        }
+
+        const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        let recorder;
+        try {
+            recorder = new MediaRecorder(new MediaStream(tracks), mimeType ? { mimeType } : {});
+        } catch (error) {
+            releaseMixer();
+            updateDebugInfo(`Could not start recording: ${error.message}`, 'error');
+            showAlert('Recording is not supported in this browser', 'error');
+            return;
+        }
+
+        if (recording.downloadUrl) {
+            URL.revokeObjectURL(recording.downloadUrl);
+            recording.downloadUrl = null;
+        }
+        uiElements.recordingDownload.classList.add('hide');
+
+        recording.recorder = recorder;
+        recording.chunks = [];
+        recording.startedAt = Date.now();
+        recording.pausedTotal = 0;
+
+        recorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) {
+                recording.chunks.push(event.data);
+            }
+        };
+        recorder.onstop = () => finish(recorder.mimeType || 'video/webm');
+        recorder.onerror = event => {
+            updateDebugInfo(`Recording error: ${event.error?.message || 'unknown'}`, 'error');
+            showAlert('Recording stopped because of an error', 'error');
+        };
+
+        // Collect data every second so a crash loses at most a second
+        recorder.start(1000);
+        recording.timer = setInterval(updateControls, 500);
+        updateControls();
+        updateDebugInfo(`Recording started: ${source}, ${recorder.mimeType || 'default format'}`, 'info');
+    }
+
+    /**
+     * Stop recording; the file becomes available for download
+     * @param {boolean} autoDownload - Download right away, e.g. because the call is ending
+     */
+    function stop(autoDownload = false) {
+        if (recording.recorder && recording.recorder.state !== 'inactive') {
+            recording.autoDownload = autoDownload;
+            recording.recorder.stop();
+        }
+    }
+
+    /**
+     * Build the downloadable WebM once the recorder stopped
+     * @param {string} mimeType - The recorder's format
+     */
+    function finish(mimeType) {
+        clearInterval(recording.timer);
+        const duration = getElapsedSeconds();
+        recording.recorder = null;
+        releaseMixer();
+
+        const blob = new Blob(recording.chunks, { type: mimeType.split(';')[0] });
+        recording.chunks = [];
+        if (blob.size === 0) {
+            updateControls();
+            return;
+        }
+
+        recording.downloadUrl = URL.createObjectURL(blob);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        uiElements.recordingDownload.href = recording.downloadUrl;
+        uiElements.recordingDownload.download = `segmentation-lab-${timestamp}.webm`;
+        uiElements.recordingDownload.classList.remove('hide');
+
+        updateControls();
+        uiElements.recordingDuration.textContent = formatTime(duration);
+        updateDebugInfo(`Recording finished: ${formatTime(duration)}, ${blob.size} bytes`, 'info');
+        
+        if (recording.autoDownload) {
+            recording.autoDownload = false;
+            uiElements.recordingDownload.click();
+        } else {
+            showAlert('Recording ready to download', 'success');
+        }
+    }
+
+    /**
+     * Pause or resume the recording
+     */
+    function togglePause() {
+        const recorder = recording.recorder;
+        if (!recorder) return;
+
+        if (recorder.state === 'recording') {
+            recorder.pause();
+            recording.pausedAt = Date.now();
+        } else if (recorder.state === 'paused') {
+            recording.pausedTotal += Date.now() - recording.pausedAt;
+            recorder.resume();
+        }
+        updateControls();
+    }
+
+    /**
+     * Show or hide the recording controls
+     */
+    function togglePanel() {
+        const hidden = uiElements.recordingControls.classList.toggle('hide');
+        if (!hidden) {
+            refreshSources();
+        }
+    }
+
+    return {
+        start,
+        stop,
+        togglePause,
+        togglePanel,
+        toggleRecording: () => recording.recorder ? stop() : start(),
+        refreshSources,
+        isRecording: () => recording.recorder !== null
+    };
+}
@@ -1,12 +1,25 @@
 // Socket.io service for handling real-time communication
 
+// Token of the meeting seat we hold; presented on every reconnect so the server can resume it
+let sessionToken = null;
+
 /**
  * Initialize socket.io connection and event handlers
  * @returns {Object} - The socket instance and event handlers
  */
 export function initSocket() {
-    // Connect to signaling server
-    const socket = io();
+    // Connect to signaling server. The auth callback runs on each (re)connect attempt
+    const socket = io({
+        auth: (callback) => callback({ sessionToken })
+    });
     
     return socket;
+}
+
+/**
+ * Remember the session token issued when joining a meeting
+ * @param {string|null} token - Session token, or null once the call has ended
+ */
+export function setSessionToken(token) {
+    sessionToken = token;
 }
\ No newline at end of file
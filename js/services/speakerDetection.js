@@ -0,0 +1,201 @@
+// Audio level meters, speaking indicators and active speaker detection
+import { showAlert } from '../utils/alertUtils.js';
+import { createAudioLevelMeter } from '../utils/audioLevel.js';
+import { setTileAudioLevel, setActiveSpeaker } from '../components/uiController.js';
+
+const POLL_INTERVAL = 100; // ms between level readings
+const SPEAKING_LEVEL = 0.12; // Level that starts a speaking period
+const SILENCE_LEVEL = 0.06; // Level below which a speaking period can end
+const SPEAKING_HOLD = 600; // ms a speaker stays marked after going quiet, bridges pauses between words
+const ACTIVE_SPEAKER_HOLD = 1500; // ms before the active speaker can change, avoids jumping tiles
+const MUTED_SPEECH_DURATION = 1500; // ms of speech into a muted mic before warning
+const MUTED_WARNING_COOLDOWN = 30000; // ms between "you're muted" warnings
+
+const LOCAL = 'local'; // Key of the local participant in the meter map
+
+/**
+ * Sets up level meters for the local microphone and every remote participant
+ * The meters drive a speaking indicator on each tile, the active speaker highlight
+ * and a warning when the user talks while muted
+ * @param {Object} uiElements - UI elements references
+ * @param {Object} webrtcService - WebRTC service
+ * @returns {Object} - Speaker detection methods
+ */
+export function setupSpeakerDetection(uiElements, webrtcService) {
+    const meters = new Map(); // LOCAL or peer id -> { meter, speaking, lastSpokeAt }
+    let activeSpeaker = undefined; // LOCAL, a peer id, or undefined for nobody
+    let activeSpeakerSince = 0;
+    let mutedSpeechSince = null;
+    let lastMutedWarning = 0;
+    let interval = null;
+
+    /**
+     * Get the audio track to measure for every participant in the call
+     * @returns {Map<string, MediaStreamTrack>} - LOCAL or peer id -> audio track
+     */
+    function getAudioTracks() {
+        const tracks = new Map();
+        const localTrack = webrtcService.getLocalStream()?.getAudioTracks()[0];
+        if (localTrack) tracks.set(LOCAL, localTrack);
+
+        webrtcService.getPeerConnections().forEach((peerConnection, peerId) => {
+            const receiver = peerConnection.getReceivers()
+                .find(r => r.track && r.track.kind === 'audio' && r.track.readyState === 'live');
+            if (receiver) tracks.set(peerId, receiver.track);
+        });
+        return tracks;
+    }
+
+    /**
+     * Create, replace or remove meters so they match the current tracks
+     * @param {Map<string, MediaStreamTrack>} tracks - Tracks to measure
+     */
+    function syncMeters(tracks) {
+        meters.forEach((entry, key) => {
+            const track = tracks.get(key);
+            if (!track || entry.meter.sourceTrackId !== track.id) {
+                entry.meter.stop();
+                meters.delete(key);
+                if (!track) setTileAudioLevel(uiElements, tileId(key), null);
+            }
+        });
+
+        tracks.forEach((track, key) => {
+            if (!meters.has(key)) {
+                meters.set(key, { meter: createAudioLevelMeter(track), speaking: false, lastSpokeAt: 0 });
+            }
+        });
+    }
+
+    /**
+     * Map a meter key to the id uiController uses for the tile
+     * @param {string} key - LOCAL or a peer id
+     * @returns {string|null} - Peer id, or null for the local tile
+     */
+    function tileId(key) {
+        return key === LOCAL ? null : key;
+    }
+
+    /**
+     * Warn once in a while when the local level is high but the microphone is muted
+     * @param {MediaStreamTrack} localTrack - The local audio track
+     * @param {number} level - Current local level
+     * @param {number} now - Current time in ms
+     */
+    function checkMutedSpeech(localTrack, level, now) {
+        if (!localTrack || localTrack.enabled || level < SPEAKING_LEVEL) {
+            mutedSpeechSince = null;
+            return;
+        }
+
+        mutedSpeechSince = mutedSpeechSince || now;
+        if (now - mutedSpeechSince >= MUTED_SPEECH_DURATION && now - lastMutedWarning >= MUTED_WARNING_COOLDOWN) {
+            lastMutedWarning = now;
+            showAlert("You're muted. Unmute your microphone so others can hear you.", 'warning');
+        }
+    }
+
+    /**
+     * Pick the loudest speaker, keeping the current one for a moment to avoid flicker
+     * @param {number} now - Current time in ms
+     */
+    function updateActiveSpeaker(now) {
+        // Highlighting only makes sense with someone else in the call
+        if (webrtcService.getPeerConnections().size === 0) {
+            if (activeSpeaker !== undefined) {
+                activeSpeaker = undefined;
+                setActiveSpeaker(uiElements, undefined);
+            }
+            return;
+        }
+
+        let loudest = undefined;
+        let loudestLevel = 0;
+        meters.forEach((entry, key) => {
+            if (entry.speaking && entry.level > loudestLevel) {
+                loudest = key;
+                loudestLevel = entry.level;
+            }
+        });
+
+        const current = meters.get(activeSpeaker);
+        const currentStillSpeaking = current && current.speaking;
+        if (loudest === undefined || loudest === activeSpeaker) return;
+        if (currentStillSpeaking && now - activeSpeakerSince < ACTIVE_SPEAKER_HOLD) return;
+
+        activeSpeaker = loudest;
+        activeSpeakerSince = now;
+        setActiveSpeaker(uiElements, tileId(loudest));
+    }
+
+    /**
+     * Read every meter and update the tiles
+     */
+    function poll() {
+        if (!webrtcService.getMeetingCode()) {
+            // The call ended
+            if (meters.size > 0) clear();
+            return;
+        }
+
+        const now = Date.now();
+        const tracks = getAudioTracks();
+        syncMeters(tracks);
+
+        meters.forEach((entry, key) => {
+            const track = tracks.get(key);
+            // A muted microphone is still measured for the warning, but never counts as speaking
+            entry.level = track.enabled ? entry.meter.getLevel() : 0;
+            if (entry.level >= SPEAKING_LEVEL) {
+                entry.speaking = true;
+                entry.lastSpokeAt = now;
+            } else if (entry.level < SILENCE_LEVEL && now - entry.lastSpokeAt > SPEAKING_HOLD) {
+                entry.speaking = false;
+            }
+            setTileAudioLevel(uiElements, tileId(key), entry.level, entry.speaking);
+
+            if (key === LOCAL) {
+                checkMutedSpeech(track, track.enabled ? entry.level : entry.meter.getLevel(), now);
+            }
+        });
+
+        updateActiveSpeaker(now);
+    }
+
+    /**
+     * Start measuring; participants are picked up as they join
+     */
+    function start() {
+        if (interval) return;
+        interval = setInterval(poll, POLL_INTERVAL);
+    }
+
+    /**
+     * Release the meters and clear the indicators
+     */
+    function clear() {
+        meters.forEach((entry, key) => {
+            entry.meter.stop();
+            setTileAudioLevel(uiElements, tileId(key), null);
+        });
+        meters.clear();
+        activeSpeaker = undefined;
+        mutedSpeechSince = null;
+        setActiveSpeaker(uiElements, undefined);
+    }
+
+    /**
+     * Stop measuring
+     */
+    function stop() {
+        clearInterval(interval);
+        interval = null;
+        clear();
+    }
+
+    return {
+        start,
+        stop,
+        isSpeaking: (peerId) => meters.get(peerId || LOCAL)?.speaking || false
+    };
+}
@@ -0,0 +1,353 @@
+// Stats collector for a continuous call quality timeline
+import { updateDebugInfo } from '../utils/generalUtils.js';
+
+const SAMPLE_INTERVAL = 2000; // ms between getStats samples
+const TIMELINE_CAPACITY = 1800; // Samples kept, one hour of a two-person call
+
+// bit/s to kbit/s, keeping null (no data yet) so it exports as an empty cell rather than 0
+const toKbps = bitrate => (bitrate == null ? null : bitrate / 1000);
+
+// CSV columns and how to read them from a sample
+const CSV_COLUMNS = [
+    ['time', sample => new Date(sample.ts).toISOString()],
+    ['meeting', sample => sample.meetingCode],
+    ['peer', sample => sample.peerId],
+    ['out_bitrate_kbps', sample => toKbps(sample.outbound.bitrate)],
+    ['out_fps', sample => sample.outbound.fps],
+    ['out_width', sample => sample.outbound.frameWidth],
+    ['out_height', sample => sample.outbound.frameHeight],
+    ['frames_encoded', sample => sample.outbound.framesEncoded],
+    ['quality_limitation', sample => sample.outbound.qualityLimitationReason],
+    ['in_bitrate_kbps', sample => toKbps(sample.inbound.bitrate)],
+    ['in_fps', sample => sample.inbound.fps],
+    ['in_width', sample => sample.inbound.frameWidth],
+    ['in_height', sample => sample.inbound.frameHeight],
+    ['packets_lost', sample => sample.inbound.packetsLost],
+    ['loss_percent', sample => sample.inbound.lossPercent],
+    ['jitter_ms', sample => sample.inbound.jitter],
+    ['frames_dropped', sample => sample.inbound.framesDropped],
+    ['rtt_ms', sample => sample.rtt],
+    ['bg_enabled', sample => sample.segmentation.enabled],
+    ['bg_type', sample => sample.segmentation.type],
+    ['bg_model', sample => sample.segmentation.model],
+    ['bg_reduced_quality', sample => sample.segmentation.reducedQuality],
+    ['bg_fps', sample => sample.segmentation.fps],
+    ['segmentation_ms', sample => sample.segmentation.segmentationTime],
+    ['processing_ms', sample => sample.segmentation.totalProcessingTime]
+];
+
+/**
+ * Create a fixed-size ring buffer that overwrites its oldest entries
+ * @param {number} capacity - Maximum number of entries
+ * @returns {Object} - Ring buffer with push(), toArray() and clear()
+ */
+function createRingBuffer(capacity) {
+    const entries = new Array(capacity);
+    let start = 0;
+    let length = 0;
+
+    return {
+        push(entry) {
+            entries[(start + length) % capacity] = entry;
+            if (length < capacity) {
+                length++;
+            } else {
+                start = (start + 1) % capacity;
+            }
+        },
+        toArray() {
+            return Array.from({ length }, (_, i) => entries[(start + i) % capacity]);
+        },
+        clear() {
+            start = 0;
+            length = 0;
+        },
+        get length() {
+            return length;
+        }
+    };
+}
+
+/**
+ * Round to a fixed number of decimals, keeping null for missing values
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} - Rounded value
+ */
+function round(value, decimals = 1) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Sets up continuous stats sampling for every peer connection
+ * Raw getStats counters are turned into per-interval deltas and rates, stored in a
+ * ring-buffer timeline together with the segmentation metrics of the same moment
+ * @param {Object} webrtcService - WebRTC service
+ * @param {Object} backgroundService - Virtual background service
+ * @returns {Object} - Stats collector methods
+ */
+export function setupStatsCollector(webrtcService, backgroundService) {
+    const timeline = createRingBuffer(TIMELINE_CAPACITY);
+    const previousCounters = new Map(); // Peer id -> raw counters of the last sample
+    const latestSamples = new Map(); // Peer id -> last sample
+    const sampleListeners = [];
+    let interval = null;
+
+    /**
+     * Read the raw counters this collector tracks from a stats report
+     * @param {RTCStatsReport} stats - Result of getStats
+     * @returns {Object} - Raw counters
+     */
+    function readCounters(stats) {
+        const counters = { timestamp: 0, outbound: null, inbound: null, rtt: null };
+        let selectedPairId = null;
+        const codecs = new Map(); // Codec report id -> mime type
+
+        stats.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedPairId = report.selectedCandidatePairId;
+            } else if (report.type === 'codec') {
+                codecs.set(report.id, report.mimeType);
+            }
+        });
+
+        stats.forEach(report => {
+            counters.timestamp = Math.max(counters.timestamp, report.timestamp || 0);
+
+            if (report.type === 'outbound-rtp' && report.kind === 'video') {
+                // With simulcast there is one report per layer; add them up
+                const outbound = counters.outbound || {
+                    bytesSent: 0, framesEncoded: 0, framesSent: 0,
+                    frameWidth: 0, frameHeight: 0, qualityLimitationReason: 'none', codec: null
+                };
+                outbound.bytesSent += report.bytesSent || 0;
+                outbound.framesEncoded += report.framesEncoded || 0;
+                outbound.framesSent += report.framesSent || 0;
+                if ((report.frameHeight || 0) > outbound.frameHeight) {
+                    outbound.frameWidth = report.frameWidth || 0;
+                    outbound.frameHeight = report.frameHeight || 0;
+                }
+                if (report.codecId && codecs.has(report.codecId)) {
+                    outbound.codec = codecs.get(report.codecId).split('/')[1];
+                }
+                if (report.qualityLimitationReason && report.qualityLimitationReason !== 'none') {
+                    outbound.qualityLimitationReason = report.qualityLimitationReason;
+                }
+                counters.outbound = outbound;
+            } else if (report.type === 'inbound-rtp' && report.kind === 'video') {
+                counters.inbound = {
+                    bytesReceived: report.bytesReceived || 0,
+                    packetsReceived: report.packetsReceived || 0,
+                    packetsLost: report.packetsLost || 0,
+                    framesDecoded: report.framesDecoded || 0,
+                    framesDropped: report.framesDropped || 0,
+                    frameWidth: report.frameWidth || 0,
+                    frameHeight: report.frameHeight || 0,
+                    jitter: report.jitter
+                };
+            } else if (report.type === 'candidate-pair' && report.id === selectedPairId) {
+                if (report.currentRoundTripTime !== undefined) {
+                    counters.rtt = report.currentRoundTripTime;
+                }
+            } else if (report.type === 'remote-inbound-rtp' && report.kind === 'video' && counters.rtt === null) {
+                if (report.roundTripTime !== undefined) {
+                    counters.rtt = report.roundTripTime;
+                }
+            }
+        });
+
+        return counters;
+    }
+
+    /**
+     * Turn two sets of raw counters into a timeline sample
+     * @param {string} peerId - Id of the remote participant
+     * @param {Object} current - Counters of this sample
+     * @param {Object|undefined} previous - Counters of the last sample
+     * @returns {Object} - Timeline sample
+     */
+    function buildSample(peerId, current, previous) {
+        const seconds = previous ? (current.timestamp - previous.timestamp) / 1000 : 0;
+        const delta = (section, key) => {
+            if (!previous || !previous[section] || !current[section] || seconds <= 0) return null;
+            return Math.max(0, current[section][key] - previous[section][key]);
+        };
+        const rate = (section, key, factor = 1) => {
+            const value = delta(section, key);
+            return value === null ? null : round(value * factor / seconds);
+        };
+
+        const outbound = current.outbound || {};
+        const inbound = current.inbound || {};
+        const packetsLost = delta('inbound', 'packetsLost');
+        const packetsReceived = delta('inbound', 'packetsReceived');
+        const lossPercent = packetsLost !== null && packetsReceived !== null && packetsLost + packetsReceived > 0
+            ? round(packetsLost / (packetsLost + packetsReceived) * 100, 2)
+            : null;
+
+        const metrics = backgroundService.getPerformanceMetrics();
+        const effect = backgroundService.getEffectState();
+
+        return {
+            ts: Date.now(),
+            meetingCode: webrtcService.getMeetingCode(),
+            peerId,
+            outbound: {
+                bitrate: rate('outbound', 'bytesSent', 8),
+                fps: rate('outbound', 'framesSent'),
+                framesEncoded: delta('outbound', 'framesEncoded'),
+                frameWidth: outbound.frameWidth || null,
+                frameHeight: outbound.frameHeight || null,
+                qualityLimitationReason: outbound.qualityLimitationReason || null,
+                codec: outbound.codec || null
+            },
+            inbound: {
+                bitrate: rate('inbound', 'bytesReceived', 8),
+                fps: rate('inbound', 'framesDecoded'),
+                packetsLost,
+                lossPercent,
+                jitter: inbound.jitter !== undefined ? round(inbound.jitter * 1000) : null,
+                framesDropped: delta('inbound', 'framesDropped'),
+                frameWidth: inbound.frameWidth || null,
+                frameHeight: inbound.frameHeight || null
+            },
+            rtt: current.rtt !== null ? round(current.rtt * 1000) : null,
+            segmentation: {
+                enabled: effect.enabled,
+                type: effect.type,
+                model: effect.model,
+                reducedQuality: backgroundService.isReducedQuality(),
+                fps: effect.enabled ? round(metrics.fps) : null,
+                segmentationTime: effect.enabled ? round(metrics.segmentationTime) : null,
+                totalProcessingTime: effect.enabled ? round(metrics.totalProcessingTime) : null
+            }
+        };
+    }
+
+    /**
+     * Sample every peer connection once
+     */
+    async function sample() {
+        const peerConnections = webrtcService.getPeerConnections();
+
+        // Forget peers that left
+        Array.from(previousCounters.keys()).forEach(peerId => {
+            if (!peerConnections.has(peerId)) {
+                previousCounters.delete(peerId);
+                latestSamples.delete(peerId);
+            }
+        });
+
+        await Promise.all(Array.from(peerConnections.entries()).map(async ([peerId, peerConnection]) => {
+            if (peerConnection.connectionState === 'closed') return;
+            try {
+                const counters = readCounters(await peerConnection.getStats());
+                const entry = buildSample(peerId, counters, previousCounters.get(peerId));
+                previousCounters.set(peerId, counters);
+
+                // The first sample only sets the baseline for the deltas
+                if (entry.outbound.bitrate === null && entry.inbound.bitrate === null) return;
+
+                timeline.push(entry);
+                latestSamples.set(peerId, entry);
+                sampleListeners.forEach(listener => listener(entry));
+            } catch (error) {
+                updateDebugInfo(`Error collecting stats for ${peerId}: ${error.message}`, 'error');
+            }
+        }));
+    }
+
+    /**
+     * Start sampling; peers are picked up as they join
+     */
+    function start() {
+        if (interval) return;
+        interval = setInterval(sample, SAMPLE_INTERVAL);
+    }
+
+    /**
+     * Stop sampling, keeping the timeline for export
+     */
+    function stop() {
+        clearInterval(interval);
+        interval = null;
+        previousCounters.clear();
+        latestSamples.clear();
+    }
+
+    /**
+     * Start a new timeline, e.g. when a call starts, so an export only covers one call
+     */
+    function reset() {
+        timeline.clear();
+        previousCounters.clear();
+        latestSamples.clear();
+    }
+
+    /**
+     * Register a listener for new samples
+     * @param {Function} listener - Called with each new sample
+     */
+    function onSample(listener) {
+        sampleListeners.push(listener);
+    }
+
+    /**
+     * Export the timeline as JSON
+     * @returns {string} - JSON document
+     */
+    function exportJSON() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            sampleInterval: SAMPLE_INTERVAL,
+            samples: timeline.toArray()
+        }, null, 2);
+    }
+
+    /**
+     * Export the timeline as CSV, one row per peer and sample
+     * @returns {string} - CSV document
+     */
+    function exportCSV() {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = CSV_COLUMNS.map(([name]) => name).join(',');
+        const rows = timeline.toArray().map(entry => CSV_COLUMNS.map(([, read]) => escape(read(entry))).join(','));
+        return [header, ...rows].join('\n');
+    }
+
+    /**
+     * Download the timeline as a file
+     * @param {string} format - 'json' or 'csv'
+     */
+    function download(format) {
+        const csv = format === 'csv';
+        const blob = new Blob([csv ? exportCSV() : exportJSON()], { type: csv ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `call-stats-${new Date().toISOString().replace(/[:.]/g, '-')}.${csv ? 'csv' : 'json'}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        updateDebugInfo(`Exported ${timeline.length} stats samples as ${format.toUpperCase()}`, 'info');
+    }
+
+    return {
+        start,
+        stop,
+        onSample,
+        exportJSON,
+        exportCSV,
+        download,
+        reset,
+        clear: () => timeline.clear(),
+        getTimeline: () => timeline.toArray(),
+        getLatestSample: (peerId) => latestSamples.get(peerId) || null,
+        getSampleCount: () => timeline.length
+    };
+}
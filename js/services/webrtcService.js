@@ -1,22 +1,58 @@
 // WebRTC service for handling peer connections and media streams
 import { showAlert } from '../utils/alertUtils.js';
-import { generateMeetingCode, getUrlParameters, updateDebugInfo } from '../utils/generalUtils.js';
+import { getUrlParameters, updateDebugInfo, updateDebugCounters } from '../utils/generalUtils.js';
+import { 
+    addRemoteVideoTile, removeRemoteVideoTile, showTileBanner, hideTileBanner,
+    setTileHandRaised, showTileReaction, setTileEffectLabel, appendChatMessage, clearChatMessages,
+    renderFileTransfer, renderWaitingRoom, showSetupError
+} from '../components/uiController.js';
+import { setupConnectionRecovery, RECOVERY_STATES } from './connectionRecovery.js';
+import { setupDataChannels, MESSAGE_TYPES } from './dataChannelService.js';
+import { setupFileTransfers, MAX_FILE_SIZE } from './fileTransferService.js';
+import { 
+    DEFAULT_ENCODING_SETTINGS, buildSendEncodings, applyEncodingParameters,
+    getSelectableVideoCodecs, getCodecPreferences, loadCodecPreference, saveCodecPreference
+} from './encodingControls.js';
+import { setSessionToken } from './socketService.js';
+
+const MAX_CHAT_LENGTH = 1000;
+const MEETING_REQUEST_TIMEOUT = 10000; // ms to wait for the server to acknowledge a create or join
+
+/**
+ * Reactions participants can send
+ */
+export const REACTIONS = ['👍', '👏', '😂', '❤️', '🎉', '😮'];
 
 /**
  * Sets up WebRTC connection handling
  * @param {Object} socket - Socket.io connection
  * @param {Object} uiElements - UI elements references
  * @param {Object} backgroundService - Virtual background service
+ * @param {Object} deviceService - Camera/mic selection service
  * @returns {Object} - WebRTC service methods
  */
-export function setupWebRTCConnection(socket, uiElements, backgroundService) {
+export function setupWebRTCConnection(socket, uiElements, backgroundService, deviceService) {
     // WebRTC variables
     let localStream;
-    let peerConnection;
+    const peerConnections = new Map(); // Remote socket id -> RTCPeerConnection
+    const negotiationStates = new Map(); // Remote socket id -> perfect-negotiation flags
+    const pendingCandidates = new Map(); // Remote socket id -> ICE candidates waiting for a remote description
+    const pendingOffers = new Map(); // Remote socket id -> offer that arrived before we knew our participant id
+    const candidateCounters = { received: 0, buffered: 0, flushed: 0, added: 0, failed: 0 };
     let meetingCode = '';
-    let isInitiator = false;
+    let participantId = null; // Our id in the meeting, stable across socket reconnects
+    let screenShare = null; // { stream, track, presenterMode } while the screen is shared
+    let handRaised = false;
+    const encodingSettings = { ...DEFAULT_ENCODING_SETTINGS };
+    let encodingCapInterval = null; // Re-applies the frame rate cap while the background is on
+    let preferredCodec = loadCodecPreference(); // Video codec mime type, '' for the browser default
+    let meetingState = null; // { hostId, locked, maxParticipants, passwordProtected, waitingRoom } from the server
+    let joinOptions = {}; // { password } presented again when rejoining after the session expired
+    let waitingCount = 0; // People in the waiting room, as last told to us as host
+    const callEndListeners = [];
+    const callStartListeners = [];
 
-    // STUN/TURN servers configuration
+    // STUN/TURN servers configuration - defaults until loadIceServers fetches the server's list
     const configuration = { 
         iceServers: [
             { urls: 'stun:stun.l.google.com:19302' },
@@ -24,16 +60,37 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
             { urls: 'stun:stun2.l.google.com:19302' }
         ] 
     };
+    let iceServersExpireAt = 0; // When the fetched TURN credentials should be refreshed
+
+    /**
+     * Fetch ICE servers (with time-limited TURN credentials) from the server
+     * Keeps the current configuration if the request fails
+     */
+    async function loadIceServers() {
+        if (Date.now() < iceServersExpireAt) return;
+        
+        try {
+            const response = await fetch('/api/ice-servers');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            configuration.iceServers = data.iceServers;
+            // Refresh well before the credentials actually expire
+            iceServersExpireAt = Date.now() + (data.ttl * 1000) / 2;
+            updateDebugInfo(`Loaded ${data.iceServers.length} ICE server entries from server`, 'info');
+        } catch (error) {
+            updateDebugInfo(`Could not load ICE servers, using current configuration: ${error.message}`, 'warn');
+        }
+    }
 
     // Initialize media
     async function initializeMedia() {
         try {
-            updateDebugInfo('Initializing media devices...');
+            updateDebugInfo('Initializing media devices...', 'info');
             // Start with audio muted for better user experience
-            localStream = await navigator.mediaDevices.getUserMedia({ 
-                video: true, 
-                audio: true
-            });
+            localStream = await navigator.mediaDevices.getUserMedia(deviceService.getConstraints());
             
             // Immediately mute audio
             const audioTracks = localStream.getAudioTracks();
@@ -46,19 +103,23 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
             
             uiElements.localVideo.srcObject = localStream;
             
+            // Device labels are only available now that permission was granted
+            await deviceService.refreshDevices();
+            deviceService.syncWithStream(localStream);
+            
             // Wait for video to be ready to get dimensions
             await new Promise(resolve => {
                 if (uiElements.localVideo.readyState >= 2) { // HAVE_CURRENT_DATA or higher
                     resolve();
                 } else {
                     uiElements.localVideo.addEventListener('loadeddata', () => {
-                        updateDebugInfo(`Video loaded: ${uiElements.localVideo.videoWidth}x${uiElements.localVideo.videoHeight}`);
+                        updateDebugInfo(`Video loaded: ${uiElements.localVideo.videoWidth}x${uiElements.localVideo.videoHeight}`, 'debug');
                         resolve();
                     }, { once: true });
                     
                     // Fallback in case loadeddata doesn't fire
                     setTimeout(() => {
-                        updateDebugInfo('Video load timeout, continuing...');
+                        updateDebugInfo('Video load timeout, continuing...', 'warn');
                         resolve();
                     }, 3000);
                 }
@@ -66,13 +127,13 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
             
             // Ensure video has valid dimensions before continuing
             if (!uiElements.localVideo.videoWidth || !uiElements.localVideo.videoHeight) {
-                updateDebugInfo('Video dimensions not available yet, using defaults: 640x480');
+                updateDebugInfo('Video dimensions not available yet, using defaults: 640x480', 'warn');
                 uiElements.localCanvas.width = 640;
                 uiElements.localCanvas.height = 480;
             } else {
                 uiElements.localCanvas.width = uiElements.localVideo.videoWidth;
                 uiElements.localCanvas.height = uiElements.localVideo.videoHeight;
-                updateDebugInfo(`Canvas initialized to ${uiElements.localCanvas.width}x${uiElements.localCanvas.height}`);
+                updateDebugInfo(`Canvas initialized to ${uiElements.localCanvas.width}x${uiElements.localCanvas.height}`, 'debug');
             }
             
             backgroundService.setContext(uiElements.localCanvas.getContext('2d'));
@@ -81,100 +142,719 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
             uiElements.modelSelector.classList.remove('hide');
             
             updateDebugInfo('Media devices initialized successfully. Video dimensions: ' + 
-                            uiElements.localCanvas.width + 'x' + uiElements.localCanvas.height);
+                            uiElements.localCanvas.width + 'x' + uiElements.localCanvas.height, 'info');
             
             return true;
         } catch (error) {
-            updateDebugInfo('Error accessing media devices: ' + error.message);
+            updateDebugInfo('Error accessing media devices: ' + error.message, 'error');
             showAlert('Error accessing camera and microphone. Please make sure you have granted the necessary permissions.', 'error');
             return false;
         }
     }
 
-    // Create a peer connection
-    function createPeerConnection() {
-        peerConnection = new RTCPeerConnection(configuration);
+    /**
+     * Create a peer connection to a single remote participant
+     * @param {string} peerId - Socket id of the remote participant
+     * @returns {RTCPeerConnection} - The new peer connection
+     */
+    function createPeerConnection(peerId) {
+        const peerConnection = new RTCPeerConnection(configuration);
+        peerConnections.set(peerId, peerConnection);
         
-        // Make peerConnection globally accessible for background service
-        window.peerConnection = peerConnection;
+        // Perfect negotiation: the side with the lower socket id is polite and
+        // rolls back its own offer on collision, the other side ignores the incoming one
+        const negotiation = {
+            polite: participantId < peerId,
+            makingOffer: false,
+            ignoreOffer: false,
+            isSettingRemoteAnswerPending: false,
+            // Set on rebuilt connections so the other side drops its stale one
+            resetPending: false
+        };
+        negotiationStates.set(peerId, negotiation);
         
-        // Add local stream tracks to the connection
-        localStream.getTracks().forEach(track => {
-            peerConnection.addTrack(track, localStream);
-        });
+        // Any change that needs an offer (new tracks, ICE restart, ...) goes through here,
+        // so both sides can renegotiate at any time
+        peerConnection.onnegotiationneeded = async () => {
+            try {
+                negotiation.makingOffer = true;
+                await peerConnection.setLocalDescription();
+                socket.emit('offer', {
+                    meetingCode: meetingCode,
+                    to: peerId,
+                    offer: peerConnection.localDescription,
+                    reset: negotiation.resetPending
+                });
+                negotiation.resetPending = false;
+                updateDebugInfo(`Sent offer to ${peerId}`, 'debug');
+            } catch (error) {
+                updateDebugInfo(`Error creating offer for ${peerId}: ${error.message}`, 'error');
+            } finally {
+                negotiation.makingOffer = false;
+            }
+        };
         
         // Handle ICE candidates
         peerConnection.onicecandidate = event => {
             if (event.candidate) {
                 socket.emit('ice-candidate', {
                     meetingCode: meetingCode,
+                    to: peerId,
                     candidate: event.candidate
                 });
             }
         };
         
-        // Handle connection state changes
+        // Handle connection state changes - drops are handled by the recovery state machine
         peerConnection.onconnectionstatechange = () => {
-            updateDebugInfo(`Connection state changed: ${peerConnection.connectionState}`);
+            updateDebugInfo(`Connection state with ${peerId} changed: ${peerConnection.connectionState}`, 'info');
+            connectionRecovery.handleConnectionState(peerId, peerConnection.connectionState);
             if (peerConnection.connectionState === 'connected') {
-                updateDebugInfo('WebRTC connection established successfully');
+                updateDebugInfo(`WebRTC connection with ${peerId} established successfully`, 'info');
                 showAlert('Connected to peer', 'success');
                 
-                // If virtual background is enabled, ensure track is replaced
-                if (backgroundService.isEnabled()) {
-                    const videoTrack = backgroundService.getCurrentVideoTrack();
+                // If the screen is shared or the virtual background is enabled, ensure track is replaced
+                if (screenShare || backgroundService.isEnabled()) {
+                    const videoTrack = getOutgoingVideoTrack();
                     if (videoTrack) {
                         const senders = peerConnection.getSenders();
                         const videoSender = senders.find(sender => sender.track && sender.track.kind === 'video');
                         if (videoSender && videoSender.track !== videoTrack) {
                             videoSender.replaceTrack(videoTrack).then(() => {
-                                updateDebugInfo('Video track replaced after connection established');
+                                updateDebugInfo('Video track replaced after connection established', 'info');
+                                applyEncodingToPeer(peerId);
                             }).catch(error => {
-                                updateDebugInfo(`Error replacing track after connection: ${error.message}`);
+                                updateDebugInfo(`Error replacing track after connection: ${error.message}`, 'error');
                             });
                         }
                     }
                 }
+                applyEncodingToPeer(peerId);
             } else if (peerConnection.connectionState === 'failed') {
-                updateDebugInfo('WebRTC connection failed');
-                showAlert('Connection failed. Please try reconnecting.', 'error');
+                updateDebugInfo(`WebRTC connection with ${peerId} failed`, 'error');
             }
         };
         
         // Handle ICE connection state changes
         peerConnection.oniceconnectionstatechange = () => {
-            updateDebugInfo(`ICE connection state: ${peerConnection.iceConnectionState}`);
-            const state = peerConnection.iceConnectionState;
-            if (state === 'failed' || state === 'disconnected' || state === 'closed') {
-                console.log('ICE connection state:', state);
-                if (state === 'failed') {
-                    showAlert('Connection failed. Please check your network.', 'error');
-                }
-            }
+            updateDebugInfo(`ICE connection state with ${peerId}: ${peerConnection.iceConnectionState}`, 'debug');
         };
         
-        // Handle receiving remote stream
+        // Handle receiving remote stream - each participant gets its own tile
         peerConnection.ontrack = event => {
-            if (uiElements.remoteVideo.srcObject !== event.streams[0]) {
-                uiElements.remoteVideo.srcObject = event.streams[0];
-                updateDebugInfo('Received remote stream');
+            const remoteVideo = addRemoteVideoTile(uiElements, peerId);
+            if (remoteVideo.srcObject !== event.streams[0]) {
+                remoteVideo.srcObject = event.streams[0];
+                updateDebugInfo(`Received remote stream from ${peerId}`, 'info');
             }
         };
+        
+        // Chat, control messages and files go peer-to-peer over data channels
+        dataChannels.attach(peerId, peerConnection);
+        fileTransfers.attach(peerId, peerConnection);
+        
+        return peerConnection;
     }
 
-    // Create a meeting
-    async function createMeeting() {
-        if (!await initializeMedia()) return;
+    /**
+     * Get the video track that should currently be sent to peers:
+     * the shared screen, else the processed canvas track, else the camera
+     * @returns {MediaStreamTrack|null} - The outgoing video track
+     */
+    function getOutgoingVideoTrack() {
+        if (screenShare) return screenShare.track;
+        const backgroundTrack = backgroundService.isEnabled() ? backgroundService.getCurrentVideoTrack() : null;
+        return backgroundTrack || (localStream ? localStream.getVideoTracks()[0] : null);
+    }
 
-        isInitiator = true;
-        meetingCode = generateMeetingCode();
-        uiElements.meetingCodeDisplay.textContent = meetingCode;
+    /**
+     * Add the local tracks to a peer connection, sending the shared screen or the
+     * processed canvas track instead of the camera when they are active
+     * @param {RTCPeerConnection} peerConnection - The connection to add tracks to
+     */
+    function addLocalTracks(peerConnection) {
+        const videoTrack = getOutgoingVideoTrack();
+        localStream.getTracks().forEach(track => {
+            const outgoingTrack = track.kind === 'video' && videoTrack ? videoTrack : track;
+            
+            // Simulcast needs its own transceiver, which only works when we make the offer;
+            // when answering, addTrack reuses the transceiver the remote offer created
+            const answering = peerConnection.getTransceivers().some(transceiver => 
+                transceiver.receiver.track.kind === track.kind && !transceiver.sender.track && !transceiver.stopped
+            );
+            if (track.kind === 'video' && encodingSettings.simulcast && !answering) {
+                peerConnection.addTransceiver(outgoingTrack, {
+                    direction: 'sendrecv',
+                    streams: [localStream],
+                    sendEncodings: buildSendEncodings(encodingSettings)
+                });
+            } else {
+                peerConnection.addTrack(outgoingTrack, localStream);
+            }
+        });
+        applyCodecPreferences(peerConnection);
+    }
+
+    /**
+     * Put the preferred codec first on the video transceivers of a connection
+     * Takes effect with the next offer or answer
+     * @param {RTCPeerConnection} peerConnection - The connection to update
+     */
+    function applyCodecPreferences(peerConnection) {
+        const codecs = getCodecPreferences(preferredCodec);
+        peerConnection.getTransceivers()
+            .filter(transceiver => transceiver.receiver.track.kind === 'video' && !transceiver.stopped)
+            .forEach(transceiver => {
+                if (!transceiver.setCodecPreferences) return;
+                try {
+                    transceiver.setCodecPreferences(codecs);
+                } catch (error) {
+                    updateDebugInfo(`Could not set codec preferences: ${error.message}`, 'warn');
+                }
+            });
+    }
+
+    /**
+     * Choose the video codec, remembered for future sessions
+     * Peers send with the first codec in our description, so this picks what we receive;
+     * everyone choosing the same codec gives a like-for-like comparison
+     * Existing connections are renegotiated so the change applies right away
+     * @param {string} mimeType - Codec mime type, e.g. 'video/VP9', or '' for the browser default
+     */
+    function setPreferredCodec(mimeType) {
+        preferredCodec = mimeType;
+        saveCodecPreference(mimeType);
         
-        // Create peer connection before joining the room
-        createPeerConnection();
+        peerConnections.forEach((peerConnection, peerId) => {
+            applyCodecPreferences(peerConnection);
+            // setCodecPreferences doesn't fire negotiationneeded, so send a new offer ourselves
+            if (peerConnection.signalingState === 'stable') {
+                peerConnection.onnegotiationneeded();
+            }
+        });
+        updateDebugInfo(`Preferred video codec: ${mimeType || 'browser default'}`, 'info');
+    }
+
+    // Offer the codecs this browser can send in the settings panel
+    function populateCodecSelect() {
+        const select = uiElements.codecSelect;
+        if (!select) return;
         
-        // Join the meeting room
-        socket.emit('create-meeting', meetingCode);
+        select.innerHTML = '<option value="">Auto</option>';
+        getSelectableVideoCodecs().forEach(mimeType => {
+            const option = document.createElement('option');
+            option.value = mimeType;
+            option.textContent = mimeType.replace('video/', '');
+            select.appendChild(option);
+        });
+        
+        if (Array.from(select.options).some(option => option.value === preferredCodec)) {
+            select.value = preferredCodec;
+        } else {
+            preferredCodec = '';
+        }
+    }
+
+    /**
+     * Limits for the outgoing video while the virtual background is on: never send more
+     * pixels or frames than the model's output canvas actually produces
+     * @returns {Object|null} - { height, frameRate }, or null without a cap
+     */
+    function getEncodingCap() {
+        if (!encodingSettings.capToBackgroundOutput || !backgroundService.isEnabled() || screenShare) {
+            return null;
+        }
+        const { fps } = backgroundService.getPerformanceMetrics();
+        return {
+            height: uiElements.localCanvas.height,
+            // Keep a floor so a slow start of the model doesn't starve the stream
+            frameRate: fps > 0 ? Math.max(10, Math.ceil(fps)) : null
+        };
+    }
+
+    /**
+     * Apply the encoding settings to the video sender of one peer
+     * @param {string} peerId - Id of the remote participant
+     */
+    async function applyEncodingToPeer(peerId) {
+        const peerConnection = peerConnections.get(peerId);
+        if (!peerConnection) return;
+        
+        const transceiver = peerConnection.getTransceivers().find(transceiver => 
+            transceiver.receiver.track.kind === 'video' && transceiver.sender.track
+        );
+        if (!transceiver) return;
+        
+        try {
+            if (await applyEncodingParameters(transceiver.sender, encodingSettings, getEncodingCap())) {
+                const layers = transceiver.sender.getParameters().encodings.length;
+                updateDebugInfo(`Encoding applied for ${peerId}: ${layers} layer(s)`, 'info');
+            }
+        } catch (error) {
+            updateDebugInfo(`Error applying encoding for ${peerId}: ${error.message}`, 'error');
+        }
+    }
+
+    // Apply the encoding settings to every peer
+    function applyEncodingToAll() {
+        peerConnections.forEach((peerConnection, peerId) => applyEncodingToPeer(peerId));
+        
+        // The model's frame rate changes over time, so keep the cap current
+        clearInterval(encodingCapInterval);
+        encodingCapInterval = getEncodingCap() ? setInterval(applyEncodingToAll, 10000) : null;
+    }
+
+    /**
+     * Change the outgoing video encoding settings
+     * Simulcast only applies to connections created afterwards
+     * @param {Object} changes - Encoding settings to change
+     */
+    function setEncodingSettings(changes) {
+        Object.assign(encodingSettings, changes);
+        encodingSettings.maxBitrate = Number(encodingSettings.maxBitrate) || 0;
+        encodingSettings.scaleResolutionDownBy = Number(encodingSettings.scaleResolutionDownBy) || 1;
+        updateDebugInfo(`Encoding settings: ${JSON.stringify(encodingSettings)}`, 'debug');
+        applyEncodingToAll();
+    }
+
+    /**
+     * Replace the track of the same kind on every peer connection's sender
+     * Track replacement avoids renegotiation, since the sender keeps its transceiver
+     * @param {MediaStreamTrack} track - The new outgoing audio or video track
+     */
+    async function replaceOutgoingTrack(track) {
+        const replacements = Array.from(peerConnections.entries()).map(async ([peerId, peerConnection]) => {
+            const transceiver = peerConnection.getTransceivers().find(transceiver => 
+                transceiver.receiver.track.kind === track.kind
+            );
+            const sender = transceiver && transceiver.sender;
+            if (!sender) {
+                // No sender of this kind yet, adding the track renegotiates through onnegotiationneeded
+                peerConnection.addTrack(track, localStream);
+                return;
+            }
+            if (sender.track === track) return;
+            try {
+                await sender.replaceTrack(track);
+                // The new track may have another resolution, so the scaling is recomputed
+                if (track.kind === 'video') {
+                    await applyEncodingToPeer(peerId);
+                }
+            } catch (error) {
+                updateDebugInfo(`Error replacing ${track.kind} track for ${peerId}: ${error.message}`, 'error');
+            }
+        });
+        await Promise.all(replacements);
+    }
+
+    /**
+     * Capture new camera and/or mic tracks with the current device settings and
+     * swap them in live: in the local stream, the preview, the virtual background and every peer
+     * @param {Object} kinds - Which tracks to recapture
+     * @param {boolean} kinds.video - Recapture the camera
+     * @param {boolean} kinds.audio - Recapture the microphone
+     */
+    async function recaptureTracks({ video = false, audio = false }) {
+        if (!localStream || (!video && !audio)) return;
+        
+        // Open the new devices before releasing the old ones, so a failed switch keeps the current media
+        let newStream;
+        try {
+            newStream = await navigator.mediaDevices.getUserMedia(deviceService.getConstraints({ video, audio }));
+        } catch (error) {
+            updateDebugInfo(`Error switching devices: ${error.message}`, 'error');
+            deviceService.updateSettings({
+                ...(video ? { videoDeviceId: '' } : {}),
+                ...(audio ? { audioDeviceId: '' } : {})
+            });
+            try {
+                newStream = await navigator.mediaDevices.getUserMedia(deviceService.getConstraints({ video, audio }));
+                showAlert('Could not switch to the selected device, using the default one', 'error');
+            } catch (fallbackError) {
+                updateDebugInfo(`Error opening the default device: ${fallbackError.message}`, 'error');
+                showAlert('Could not switch camera or microphone, keeping the current one', 'error');
+                // Point the settings and the device selects back at what is still in use
+                const deviceInUse = track => (track && track.readyState === 'live' && track.getSettings().deviceId) || '';
+                deviceService.updateSettings({
+                    ...(video ? { videoDeviceId: deviceInUse(localStream.getVideoTracks()[0]) } : {}),
+                    ...(audio ? { audioDeviceId: deviceInUse(localStream.getAudioTracks()[0]) } : {})
+                });
+                deviceService.showDeviceSettings();
+                return;
+            }
+        }
+        
+        const oldTracks = [
+            ...(video ? localStream.getVideoTracks() : []),
+            ...(audio ? localStream.getAudioTracks() : [])
+        ];
+        const enabledByKind = {};
+        oldTracks.forEach(track => {
+            enabledByKind[track.kind] = track.enabled;
+            track.stop();
+            localStream.removeTrack(track);
+        });
+        
+        // Keep mute and camera-off state across the switch
+        newStream.getTracks().forEach(track => {
+            if (enabledByKind[track.kind] !== undefined) {
+                track.enabled = enabledByKind[track.kind];
+            }
+            localStream.addTrack(track);
+        });
+        
+        // Re-assign so the preview (and the virtual background, which reads it) picks up the new tracks
+        uiElements.localVideo.srcObject = localStream;
+        backgroundService.updateSourceStream();
+        deviceService.syncWithStream(localStream);
+        
+        if (video) {
+            const videoTrack = getOutgoingVideoTrack();
+            if (videoTrack) {
+                await replaceOutgoingTrack(videoTrack);
+            }
+        }
+        if (audio) {
+            const audioTrack = localStream.getAudioTracks()[0];
+            if (audioTrack) {
+                await replaceOutgoingTrack(audioTrack);
+            }
+        }
+        
+        updateDebugInfo(`Switched ${[video && 'camera', audio && 'microphone'].filter(Boolean).join(' and ')}`, 'info');
+    }
+
+    /**
+     * Apply new device settings from the settings panel
+     * @param {Object} changes - Device settings to change (device ids, resolution, frame rate)
+     */
+    async function switchDevices(changes) {
+        const recapture = deviceService.updateSettings(changes);
+        try {
+            await recaptureTracks(recapture);
+        } catch (error) {
+            console.error('Error switching devices:', error);
+            updateDebugInfo(`Error switching devices: ${error.message}`, 'error');
+            showAlert('Error switching camera or microphone', 'error');
+        }
+    }
+
+    /**
+     * Start sharing the screen, optionally as a presenter with the person
+     * cut out of the camera and overlaid on the screen
+     * @param {boolean} presenterMode - Overlay the person on the shared screen
+     */
+    async function startScreenShare(presenterMode = false) {
+        if (!localStream) return;
+        
+        try {
+            const stream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+            const screenTrack = stream.getVideoTracks()[0];
+            screenTrack.contentHint = 'detail';
+            
+            let track = screenTrack;
+            if (presenterMode) {
+                track = await backgroundService.startPresenterMode(stream);
+                if (!track) {
+                    stream.getTracks().forEach(t => t.stop());
+                    showAlert('Could not load a segmentation model for presenter mode', 'error');
+                    return;
+                }
+            }
+            
+            screenShare = { stream, track, presenterMode };
+            backgroundService.setScreenShareActive(true);
+            
+            // The browser's own "Stop sharing" button ends the screen track
+            screenTrack.addEventListener('ended', () => stopScreenShare());
+            
+            await replaceOutgoingTrack(track);
+            updateScreenShareButtons();
+            updateDebugInfo(`Screen sharing started${presenterMode ? ' in presenter mode' : ''}`, 'info');
+        } catch (error) {
+            // NotAllowedError means the user cancelled the picker
+            if (error.name !== 'NotAllowedError') {
+                console.error('Error starting screen share:', error);
+                showAlert('Could not share screen: ' + error.message, 'error');
+            }
+            updateDebugInfo(`Screen share not started: ${error.message}`, 'info');
+        }
+    }
+
+    /**
+     * Stop sharing the screen and send the camera (or background) track again
+     */
+    async function stopScreenShare() {
+        if (!screenShare) return;
+        
+        const { stream, presenterMode } = screenShare;
+        screenShare = null;
+        backgroundService.setScreenShareActive(false);
+        if (presenterMode) {
+            backgroundService.stopPresenterMode();
+        }
+        stream.getTracks().forEach(track => track.stop());
+        
+        const videoTrack = getOutgoingVideoTrack();
+        if (videoTrack) {
+            await replaceOutgoingTrack(videoTrack);
+        }
+        updateScreenShareButtons();
+        updateDebugInfo('Screen sharing stopped', 'info');
+    }
+
+    /**
+     * Toggle screen sharing, switching between plain and presenter mode if
+     * the other one is active
+     * @param {boolean} presenterMode - Overlay the person on the shared screen
+     */
+    async function toggleScreenShare(presenterMode = false) {
+        if (screenShare) {
+            const switching = screenShare.presenterMode !== presenterMode;
+            await stopScreenShare();
+            if (!switching) return;
+        }
+        await startScreenShare(presenterMode);
+    }
+
+    // Highlight the button of the active screen share mode
+    function updateScreenShareButtons() {
+        uiElements.shareScreenButton?.classList.toggle('active', !!screenShare && !screenShare.presenterMode);
+        uiElements.presentScreenButton?.classList.toggle('active', !!screenShare && screenShare.presenterMode);
+    }
+
+    /**
+     * Close the peer connection to a participant and remove its video tile
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {boolean} keepTile - Keep the video tile, e.g. while the connection is rebuilt
+     */
+    function closePeerConnection(peerId, keepTile = false) {
+        const peerConnection = peerConnections.get(peerId);
+        if (peerConnection) {
+            peerConnection.close();
+            peerConnections.delete(peerId);
+            negotiationStates.delete(peerId);
+            pendingCandidates.delete(peerId);
+            updateDebugInfo(`Peer connection with ${peerId} closed`, 'info');
+        }
+        // Messages queued for a connection that is being rebuilt are sent once it is back
+        dataChannels.detach(peerId, keepTile);
+        fileTransfers.detach(peerId);
+        if (!keepTile) {
+            pendingOffers.delete(peerId);
+            connectionRecovery.cancel(peerId);
+            removeRemoteVideoTile(uiElements, peerId);
+        }
+    }
+
+    /**
+     * Rebuild the peer connection to a participant from scratch
+     * Only the impolite side rebuilds; the polite side waits for its reset offer
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    async function rebuildPeerConnection(peerId) {
+        const negotiation = negotiationStates.get(peerId);
+        if (negotiation && negotiation.polite) {
+            updateDebugInfo(`Waiting for ${peerId} to rebuild the connection`, 'info');
+            return;
+        }
+        
+        // The network changed, so the TURN credentials may be worth refreshing too
+        await loadIceServers();
+        if (!peerConnections.has(peerId)) return; // Participant left meanwhile
+        closePeerConnection(peerId, true);
+        const peerConnection = createPeerConnection(peerId);
+        negotiationStates.get(peerId).resetPending = true;
+        addLocalTracks(peerConnection);
+        updateDebugInfo(`Rebuilding peer connection with ${peerId}`, 'info');
+    }
+
+    // Banner text for each recovery state
+    const recoveryMessages = {
+        [RECOVERY_STATES.WAITING]: 'Connection unstable, waiting for the network...',
+        [RECOVERY_STATES.RESTARTING]: 'Reconnecting (restarting ICE)...',
+        [RECOVERY_STATES.REBUILDING]: 'Re-establishing the connection...',
+        [RECOVERY_STATES.CONNECTED]: 'Reconnected',
+        [RECOVERY_STATES.FAILED]: 'Connection lost'
+    };
+
+    // Recovery state machine for dropped connections
+    const connectionRecovery = setupConnectionRecovery({
+        restartIce: (peerId) => {
+            const peerConnection = peerConnections.get(peerId);
+            if (peerConnection) {
+                // Fires onnegotiationneeded, which sends an ICE restart offer
+                peerConnection.restartIce();
+                updateDebugInfo(`Restarting ICE with ${peerId}`, 'info');
+            }
+        },
+        rebuild: rebuildPeerConnection,
+        onStateChange: (peerId, state) => {
+            updateDebugInfo(`Recovery state for ${peerId}: ${state}`, 'info');
+            if (state === RECOVERY_STATES.CONNECTED) {
+                showTileBanner(uiElements, peerId, recoveryMessages[state], 'success');
+                setTimeout(() => {
+                    // Keep the banner if the connection dropped again meanwhile
+                    if (connectionRecovery.getState(peerId) === RECOVERY_STATES.CONNECTED) {
+                        hideTileBanner(uiElements, peerId);
+                    }
+                }, 3000);
+            } else if (state === RECOVERY_STATES.FAILED) {
+                showTileBanner(uiElements, peerId, recoveryMessages[state], 'error');
+                showAlert('Could not restore the connection to a participant.', 'error', 'Connection Lost');
+            } else {
+                showTileBanner(uiElements, peerId, recoveryMessages[state], 'warning');
+            }
+        }
+    });
+
+    /**
+     * Handle a chat or control message from a participant
+     * @param {string} peerId - Id of the remote participant
+     * @param {Object} message - Decoded data channel message
+     */
+    function handleDataMessage(peerId, message) {
+        const { payload = {} } = message;
+        switch (message.type) {
+            case MESSAGE_TYPES.CHAT:
+                if (typeof payload.text !== 'string' || !payload.text.trim()) return;
+                appendChatMessage(uiElements, {
+                    author: `Participant ${peerId.substring(0, 4)}`,
+                    text: payload.text.slice(0, MAX_CHAT_LENGTH),
+                    ts: message.ts
+                });
+                break;
+            case MESSAGE_TYPES.RAISE_HAND:
+                setTileHandRaised(uiElements, peerId, !!payload.raised);
+                if (payload.raised) {
+                    showAlert(`Participant ${peerId.substring(0, 4)} raised their hand`, 'info');
+                }
+                break;
+            case MESSAGE_TYPES.REACTION:
+                if (REACTIONS.includes(payload.emoji)) {
+                    showTileReaction(uiElements, peerId, payload.emoji);
+                }
+                break;
+            case MESSAGE_TYPES.EFFECT_STATE:
+                if (typeof payload.type === 'string' && typeof payload.model === 'string') {
+                    setTileEffectLabel(uiElements, peerId, payload);
+                }
+                break;
+        }
+    }
+
+    // Peer-to-peer chat and control channels
+    const dataChannels = setupDataChannels({
+        onMessage: handleDataMessage,
+        onOpen: (peerId) => {
+            // Bring a new (or reconnected) participant up to date
+            dataChannels.send(peerId, MESSAGE_TYPES.EFFECT_STATE, backgroundService.getEffectState());
+            if (handRaised) {
+                dataChannels.send(peerId, MESSAGE_TYPES.RAISE_HAND, { raised: true });
+            }
+        }
+    });
+
+    // Let everyone see which effect we are using
+    backgroundService.onStateChange(state => {
+        dataChannels.broadcast(MESSAGE_TYPES.EFFECT_STATE, state);
+        // The background output cap comes and goes with the effect
+        applyEncodingToAll();
+    });
+
+    /**
+     * Send a chat message to everyone in the meeting
+     * @param {string} text - Message text
+     */
+    function sendChatMessage(text) {
+        const trimmed = text.trim().slice(0, MAX_CHAT_LENGTH);
+        if (!trimmed) return;
+        dataChannels.broadcast(MESSAGE_TYPES.CHAT, { text: trimmed });
+        appendChatMessage(uiElements, { author: 'You', text: trimmed, ts: Date.now(), own: true });
+    }
+
+    // Raise or lower our hand
+    function toggleRaiseHand() {
+        handRaised = !handRaised;
+        dataChannels.broadcast(MESSAGE_TYPES.RAISE_HAND, { raised: handRaised });
+        setTileHandRaised(uiElements, null, handRaised);
+        uiElements.raiseHandButton?.classList.toggle('active', handRaised);
+    }
+
+    /**
+     * Send a reaction to everyone in the meeting
+     * @param {string} emoji - One of REACTIONS
+     */
+    function sendReaction(emoji) {
+        if (!REACTIONS.includes(emoji)) return;
+        dataChannels.broadcast(MESSAGE_TYPES.REACTION, { emoji });
+        showTileReaction(uiElements, null, emoji);
+    }
+
+    // Peer-to-peer file transfers, shown as cards in the chat panel
+    const fileTransfers = setupFileTransfers({
+        onUpdate: (transfer) => {
+            renderFileTransfer(uiElements, transfer, `Participant ${transfer.peerId.substring(0, 4)}`, {
+                onCancel: (key) => fileTransfers.cancel(key),
+                onUseAsBackground: useReceivedFileAsBackground
+            });
+        }
+    });
+
+    /**
+     * Send a file to everyone in the meeting
+     * @param {File} file - The file to send
+     */
+    function sendFile(file) {
+        if (peerConnections.size === 0) {
+            showAlert('There is nobody in the meeting to send the file to', 'info');
+            return;
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            showAlert(`File is too large. Files up to ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB can be sent`, 'error');
+            return;
+        }
+        // Read and hash the file once rather than per participant; the single buffer is
+        // shared by all transfers. A read failure is reported by each transfer that awaits it,
+        // transfers cancelled before that never do, so don't leave the rejection unhandled
+        const contents = fileTransfers.readFile(file);
+        contents.catch(() => {});
+        peerConnections.forEach((peerConnection, peerId) => fileTransfers.sendFile(peerId, file, contents));
+        updateDebugInfo(`Sending ${file.name} to ${peerConnections.size} participant(s)`, 'info');
+    }
+
+    /**
+     * Apply a received image as the custom virtual background
+     * @param {string} key - Key of a completed incoming transfer
+     */
+    async function useReceivedFileAsBackground(key) {
+        const transfer = fileTransfers.getTransfer(key);
+        if (!transfer || !transfer.file) return;
+        
+        if (await backgroundService.applyCustomBackgroundFile(transfer.file) && !backgroundService.isEnabled()) {
+            await backgroundService.toggle();
+        }
+    }
+
+    /**
+     * Create a meeting
+     * @param {Object} [options] - `password` (optional) and `waitingRoom` to admit joiners ourselves
+     */
+    async function createMeeting(options = {}) {
+        if (!await prepareMedia()) return;
+        await loadIceServers();
+
+        // The previous call closed the connection
+        if (!socket.connected) socket.connect();
+        
+        // The server allocates the code; it only keeps a hash of the password
+        joinOptions = { password: options.password || '' };
+        const response = await sendMeetingRequest('create-meeting', { ...joinOptions, waitingRoom: Boolean(options.waitingRoom) });
+        if (!response) return;
+        
+        meetingCode = response.meetingCode;
+        uiElements.meetingCodeDisplay.textContent = meetingCode;
+        callStartListeners.forEach(listener => listener());
         
         // Show the call panel
         uiElements.setupPanel.classList.add('hide');
@@ -183,88 +863,209 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
         showAlert(`Created new meeting with code: ${meetingCode}`, 'success', 'Meeting Created');
     }
 
-    // Join a meeting
-    async function joinMeeting() {
+    /**
+     * Join the meeting whose code is in the code input
+     * @param {Object} [options] - `password` if the meeting has one
+     */
+    async function joinMeeting(options = {}) {
         const code = uiElements.meetingCodeInput.value.trim().toUpperCase();
         if (!code) {
             showAlert('Please enter a meeting code', 'error');
             return;
         }
         
-        if (!await initializeMedia()) return;
+        if (!await prepareMedia()) return;
+        await loadIceServers();
 
-        isInitiator = false;
+        // Set before asking, offers from the other participants may arrive right after we are admitted
         meetingCode = code;
         uiElements.meetingCodeDisplay.textContent = meetingCode;
         
+        // The previous call closed the connection
+        if (!socket.connected) socket.connect();
+        
         // Join the meeting room
-        socket.emit('join-meeting', meetingCode);
+        joinOptions = { password: options.password || '' };
+        const response = await sendMeetingRequest('join-meeting', meetingCode, joinOptions);
+        if (!response) return;
+        callStartListeners.forEach(listener => listener());
         
         // Show the call panel
         uiElements.setupPanel.classList.add('hide');
         uiElements.callPanel.classList.remove('hide');
         
-        // Create peer connection
-        createPeerConnection();
-        
-        showAlert(`Joined meeting with code: ${meetingCode}`, 'success');
+        // Peer connections are created as existing participants send us their offers.
+        // The server confirms with joined-meeting, possibly after the host admitted us
     }
 
-    // Start the call process
-    async function startCall() {
+    /**
+     * Send a create or join request and wait for the server's acknowledgement
+     * On failure the camera and mic are released and the error is shown on the setup panel
+     * @param {string} event - 'create-meeting' or 'join-meeting'
+     * @param {...*} args - Event arguments
+     * @returns {Promise<Object|null>} - The server's response, or null if the request failed
+     */
+    async function sendMeetingRequest(event, ...args) {
+        showSetupError(uiElements, null);
+        
+        let response;
         try {
-            // Create offer
-            const offer = await peerConnection.createOffer();
-            await peerConnection.setLocalDescription(offer);
-            
-            // Send the offer to the other peer
-            socket.emit('offer', {
-                meetingCode: meetingCode,
-                offer: offer
-            });
+            response = await socket.timeout(MEETING_REQUEST_TIMEOUT).emitWithAck(event, ...args);
         } catch (error) {
-            console.error('Error creating offer:', error);
+            response = { ok: false, error: { code: 'timeout', message: 'The server did not answer, please try again' } };
         }
+        if (response.ok) return response;
+        
+        updateDebugInfo(`${event} failed: ${response.error.code}`, 'warn');
+        meetingCode = '';
+        joinOptions = {};
+        uiElements.meetingCodeDisplay.textContent = '';
+        await releaseMedia();
+        uiElements.callPanel.classList.add('hide');
+        uiElements.setupPanel.classList.remove('hide');
+        showSetupError(uiElements, response.error.message);
+        return null;
     }
 
-    // Handle received offer
-    async function handleOffer(offer) {
+    /**
+     * Leave the call because the server turned us away, and say why on the setup panel
+     * @param {string} message - Reason to show
+     */
+    async function leaveWithError(message) {
+        await endCall();
+        showSetupError(uiElements, message);
+    }
+
+    /**
+     * Start the call with a participant
+     * Adding our tracks fires onnegotiationneeded, which sends the offer
+     * @param {string} peerId - Socket id of the remote participant
+     */
+    function startCall(peerId) {
+        const peerConnection = peerConnections.get(peerId) || createPeerConnection(peerId);
+        if (peerConnection.getSenders().length === 0) {
+            addLocalTracks(peerConnection);
+        }
+    }
+
+    /**
+     * Handle an offer or answer received from a participant (perfect negotiation)
+     * @param {string} peerId - Socket id of the sender
+     * @param {RTCSessionDescriptionInit} description - The received offer or answer
+     */
+    async function handleDescription(peerId, description) {
+        // An answer for a connection we no longer have is stale
+        if (description.type === 'answer' && !peerConnections.has(peerId)) return;
+        
+        const peerConnection = peerConnections.get(peerId) || createPeerConnection(peerId);
+        const negotiation = negotiationStates.get(peerId);
+        
         try {
-            createPeerConnection();
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+            const readyForOffer = !negotiation.makingOffer &&
+                (peerConnection.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+            const offerCollision = description.type === 'offer' && !readyForOffer;
             
-            // Create answer
-            const answer = await peerConnection.createAnswer();
-            await peerConnection.setLocalDescription(answer);
+            negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+            if (negotiation.ignoreOffer) {
+                updateDebugInfo(`Ignoring colliding offer from ${peerId}`, 'debug');
+                return;
+            }
             
-            // Send the answer to the other peer
-            socket.emit('answer', {
-                meetingCode: meetingCode,
-                answer: answer
-            });
+            // The polite side implicitly rolls back its own pending offer here
+            negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+            await peerConnection.setRemoteDescription(description);
+            negotiation.isSettingRemoteAnswerPending = false;
+            
+            // Candidates that raced ahead of this description can be applied now
+            await flushPendingCandidates(peerId, peerConnection);
+            
+            if (description.type === 'offer') {
+                // Add our tracks after the offer so they reuse its transceivers
+                if (peerConnection.getSenders().length === 0) {
+                    addLocalTracks(peerConnection);
+                }
+                
+                await peerConnection.setLocalDescription();
+                socket.emit('answer', {
+                    meetingCode: meetingCode,
+                    to: peerId,
+                    answer: peerConnection.localDescription
+                });
+            }
         } catch (error) {
-            console.error('Error handling offer:', error);
+            updateDebugInfo(`Error handling ${description.type} from ${peerId}: ${error.message}`, 'error');
         }
     }
 
-    // Handle received answer
-    async function handleAnswer(answer) {
-        try {
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
-        } catch (error) {
-            console.error('Error handling answer:', error);
+    /**
+     * Handle an ICE candidate received from a participant
+     * Candidates are queued until the peer connection has a remote description
+     * @param {string} peerId - Socket id of the sender
+     * @param {RTCIceCandidateInit} candidate - The received candidate
+     */
+    async function handleIceCandidate(peerId, candidate) {
+        candidateCounters.received++;
+        
+        const peerConnection = peerConnections.get(peerId);
+        if (!peerConnection || !peerConnection.remoteDescription) {
+            if (!pendingCandidates.has(peerId)) {
+                pendingCandidates.set(peerId, []);
+            }
+            pendingCandidates.get(peerId).push(candidate);
+            candidateCounters.buffered++;
+            reportCandidateCounters();
+            return;
+        }
+        
+        await addIceCandidate(peerId, peerConnection, candidate);
+    }
+
+    /**
+     * Apply the ICE candidates buffered for a participant
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {RTCPeerConnection} peerConnection - The connection the candidates belong to
+     */
+    async function flushPendingCandidates(peerId, peerConnection) {
+        const candidates = pendingCandidates.get(peerId);
+        if (!candidates) return;
+        
+        pendingCandidates.delete(peerId);
+        updateDebugInfo(`Applying ${candidates.length} buffered ICE candidates from ${peerId}`, 'debug');
+        for (const candidate of candidates) {
+            candidateCounters.flushed++;
+            await addIceCandidate(peerId, peerConnection, candidate);
         }
     }
 
-    // Handle received ICE candidate
-    async function handleIceCandidate(candidate) {
+    /**
+     * Add a single ICE candidate to a peer connection and count the outcome
+     * @param {string} peerId - Socket id of the remote participant
+     * @param {RTCPeerConnection} peerConnection - The connection to add the candidate to
+     * @param {RTCIceCandidateInit} candidate - The candidate to add
+     */
+    async function addIceCandidate(peerId, peerConnection, candidate) {
         try {
-            if (peerConnection) {
-                await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-            }
+            await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+            candidateCounters.added++;
         } catch (error) {
-            console.error('Error adding ICE candidate:', error);
+            candidateCounters.failed++;
+            // Candidates belonging to an offer we ignored are expected to fail
+            if (!negotiationStates.get(peerId)?.ignoreOffer) {
+                console.error('Error adding ICE candidate:', error);
+            }
         }
+        reportCandidateCounters();
+    }
+
+    /**
+     * Show the ICE candidate counters in the debug panel
+     */
+    function reportCandidateCounters() {
+        let pending = 0;
+        pendingCandidates.forEach(candidates => {
+            pending += candidates.length;
+        });
+        updateDebugCounters('ICE candidates', { ...candidateCounters, pending });
     }
 
     // Toggle audio
@@ -317,10 +1118,120 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
         }
     }
 
+    /**
+     * Register a listener called when the call ends, whether we left or the host ended it
+     * @param {Function} listener - Called before the media is released
+     */
+    function onCallEnd(listener) {
+        callEndListeners.push(listener);
+    }
+
+    /**
+     * Register a listener for when we created or were let into a meeting
+     * @param {Function} listener - Called without arguments
+     */
+    function onCallStart(listener) {
+        callStartListeners.push(listener);
+    }
+
+    /**
+     * Apply the meeting state from the server and show the host controls if we are the host
+     * @param {Object} state - { hostId, locked, maxParticipants, passwordProtected, waitingRoom }
+     */
+    function updateMeetingState(state) {
+        const previous = meetingState;
+        const wasHost = isHost();
+        meetingState = {
+            hostId: state.hostId,
+            locked: state.locked,
+            maxParticipants: state.maxParticipants,
+            passwordProtected: state.passwordProtected,
+            waitingRoom: state.waitingRoom
+        };
+        
+        uiElements.callPanel.classList.toggle('is-host', isHost());
+        uiElements.lockMeetingButton.innerHTML = `<i class="fas fa-${meetingState.locked ? 'lock' : 'lock-open'}"></i>`;
+        uiElements.lockMeetingButton.title = meetingState.locked ? 'Unlock Meeting' : 'Lock Meeting';
+        uiElements.lockMeetingButton.classList.toggle('active', meetingState.locked);
+        
+        if (!previous) return;
+        if (!wasHost && isHost()) {
+            showAlert('You are now the host of this meeting', 'info');
+        }
+        if (previous.locked !== meetingState.locked) {
+            showAlert(meetingState.locked ? 'The meeting is locked, nobody else can join' : 'The meeting is unlocked', 'info');
+        }
+    }
+
+    /**
+     * Host: show who is waiting to be admitted
+     * @param {Object[]} waiting - { participantId, requestedAt } for each waiting joiner
+     */
+    function updateWaitingRoom(waiting) {
+        if (waiting.length > waitingCount) {
+            showAlert('Someone is waiting to join the meeting', 'info', 'Waiting Room');
+        }
+        waitingCount = waiting.length;
+        
+        renderWaitingRoom(uiElements, waiting, {
+            onAdmit: peerId => socket.emit('admit', { participantId: peerId }),
+            onDeny: peerId => socket.emit('deny', { participantId: peerId })
+        });
+    }
+
+    /**
+     * Whether we are the host of the current meeting
+     * @returns {boolean} - True for the host
+     */
+    function isHost() {
+        return Boolean(meetingState && participantId && meetingState.hostId === participantId);
+    }
+
+    /**
+     * Host: remove a participant from the meeting
+     * @param {string} peerId - Id of the participant
+     */
+    function kickParticipant(peerId) {
+        if (!isHost()) return;
+        socket.emit('kick', { participantId: peerId });
+    }
+
+    /**
+     * Host: ask a participant, or everyone else, to mute their microphone
+     * @param {string} [peerId] - Id of the participant, omitted for everyone
+     */
+    function requestMute(peerId) {
+        if (!isHost()) return;
+        socket.emit('mute-request', peerId ? { participantId: peerId } : {});
+        showAlert(peerId ? 'Asked the participant to mute' : 'Asked everyone to mute', 'info');
+    }
+
+    /**
+     * Host: lock or unlock the meeting for new participants
+     */
+    function toggleMeetingLock() {
+        if (!isHost()) return;
+        socket.emit('lock-meeting', { locked: !meetingState.locked });
+    }
+
+    /**
+     * Host: end the meeting for every participant; the server answers with meeting-ended
+     */
+    function endMeetingForAll() {
+        if (!isHost()) return;
+        socket.emit('end-for-all');
+    }
+
     // End the call
     async function endCall(skipConfirmation = false) {
         try {
-            updateDebugInfo('Ending call...');
+            updateDebugInfo('Ending call...', 'info');
+            callEndListeners.forEach(listener => listener());
+            
+            // The seat is given up, so don't resume it on reconnect
+            setSessionToken(null);
+            participantId = null;
+            pendingOffers.clear();
             
             // Notify other participants that we're ending the call
             if (meetingCode && socket.connected) {
@@ -331,29 +1242,20 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
                 socket.close();
             }
             
-            // Clean up peer connection
-            if (peerConnection) {
-                peerConnection.close();
-                peerConnection = null;
-                window.peerConnection = null;
-            }
+            await stopScreenShare();
             
-            // Stop all tracks in local stream
-            if (localStream) {
-                localStream.getTracks().forEach(track => {
-                    track.stop();
-                    updateDebugInfo(`Stopped track: ${track.kind}`);
-                });
-                localStream = null;
+            if (handRaised) {
+                toggleRaiseHand();
             }
+            clearInterval(encodingCapInterval);
+            encodingCapInterval = null;
+            fileTransfers.reset();
+            clearChatMessages(uiElements);
             
-            // Clear video elements
-            if (uiElements.localVideo.srcObject) {
-                uiElements.localVideo.srcObject = null;
-            }
-            if (uiElements.remoteVideo.srcObject) {
-                uiElements.remoteVideo.srcObject = null;
-            }
+            // Clean up all peer connections and their video tiles
+            Array.from(peerConnections.keys()).forEach(peerId => closePeerConnection(peerId));
+            
+            await releaseMedia();
             
             // Reset UI state
             uiElements.setupPanel.classList.remove('hide');
@@ -363,39 +1265,69 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
             
             // Reset meeting state
             meetingCode = '';
-            isInitiator = false;
+            meetingState = null;
+            joinOptions = {};
+            uiElements.callPanel.classList.remove('is-host');
+            uiElements.waitingNotice.classList.add('hide');
+            updateWaitingRoom([]);
             
-            // Disable virtual background if enabled
-            if (backgroundService.isEnabled()) {
-                await backgroundService.toggle();
-            }
-            
-            updateDebugInfo('Call ended successfully');
+            updateDebugInfo('Call ended successfully', 'info');
             showAlert('Call ended', 'info');
             
         } catch (error) {
             console.error('Error ending call:', error);
-            updateDebugInfo(`Error ending call: ${error.message}`);
+            updateDebugInfo(`Error ending call: ${error.message}`, 'error');
             showAlert('Error ending call', 'error');
         }
     }
 
+    /**
+     * Start the camera and mic unless they are already running, e.g. from the lobby
+     * @returns {Promise<boolean>} - Whether local media is available
+     */
+    async function prepareMedia() {
+        return localStream ? true : initializeMedia();
+    }
+
+    /**
+     * Turn off the virtual background and stop the camera and mic
+     */
+    async function releaseMedia() {
+        // Disable the background first, it restores the camera stream on the local video
+        if (backgroundService.isEnabled()) {
+            await backgroundService.toggle();
+        }
+        
+        if (localStream) {
+            localStream.getTracks().forEach(track => {
+                track.stop();
+                updateDebugInfo(`Stopped track: ${track.kind}`, 'debug');
+            });
+            localStream = null;
+        }
+        
+        if (uiElements.localVideo.srcObject) {
+            uiElements.localVideo.srcObject = null;
+        }
+    }
+
     // Generate a shareable meeting link
     function generateMeetingLink() {
         const baseUrl = window.location.origin + window.location.pathname;
         return `${baseUrl}?code=${meetingCode}`;
     }
 
-    // Check for meeting code in URL and join automatically
+    /**
+     * Check for a meeting code in the URL and fill it into the code input
+     * @returns {boolean} - Whether a meeting code was found
+     */
     function checkUrlForMeetingCode() {
         const params = getUrlParameters();
         if (params.code) {
             uiElements.meetingCodeInput.value = params.code;
-            // Use a slight delay to ensure DOM is fully loaded
-            setTimeout(() => {
-                joinMeeting();
-            }, 500);
+            return true;
         }
+        return false;
     }
 
     // Copy meeting link to clipboard
@@ -424,66 +1356,187 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
     }
 
     // Set up socket event handlers
-    socket.on('joined-meeting', () => {
-        if (isInitiator) {
-            createPeerConnection();
-            updateDebugInfo('Peer connection created for initiator');
+    socket.on('joined-meeting', (data) => {
+        participantId = data.participantId;
+        setSessionToken(data.sessionToken);
+        updateMeetingState(data);
+        const offers = Array.from(pendingOffers.values());
+        pendingOffers.clear();
+        offers.forEach(handleOfferMessage);
+        uiElements.waitingNotice.classList.add('hide');
+        if (!isHost()) {
+            showAlert(`Joined meeting with code: ${meetingCode}`, 'success');
         }
+        updateDebugInfo(`Joined meeting as ${participantId}, session resumable for ${data.resumeWindow / 1000}s`, 'info');
     });
 
-    socket.on('new-user-joined', () => {
-        showAlert('A new participant has joined the meeting', 'info');
-        if (isInitiator) {
-            if (!peerConnection) {
-                createPeerConnection();
-                updateDebugInfo('Peer connection created when new user joined');
-            }
-            startCall();
+    // Signaling server connection lost - peer connections keep running meanwhile
+    socket.on('disconnect', (reason) => {
+        // The server disconnects us on purpose when we are removed or the meeting ends
+        if (meetingCode && reason !== 'io client disconnect' && reason !== 'io server disconnect') {
+            updateDebugInfo(`Signaling connection lost: ${reason}`, 'warn');
+            showAlert('Lost connection to the server, reconnecting...', 'warning', 'Reconnecting');
         }
     });
 
+    socket.on('session-resumed', (data) => {
+        updateMeetingState(data);
+        updateDebugInfo(`Session resumed as ${participantId}`, 'info');
+        showAlert('Reconnected to the meeting', 'success');
+    });
+
+    // Our seat was released before we came back, so join again as a new participant
+    socket.on('session-expired', () => {
+        setSessionToken(null);
+        // Rejoining gives us a new participant id
+        participantId = null;
+        if (!meetingCode) return;
+        
+        updateDebugInfo('Session expired, rejoining meeting', 'info');
+        showAlert('Your session expired, rejoining the meeting', 'warning');
+        Array.from(peerConnections.keys()).forEach(peerId => closePeerConnection(peerId));
+        socket.timeout(MEETING_REQUEST_TIMEOUT).emitWithAck('join-meeting', meetingCode, joinOptions)
+            .then(response => {
+                if (!response.ok) leaveWithError(response.error.message);
+            })
+            .catch(() => leaveWithError('Could not rejoin the meeting'));
+    });
+
+    socket.on('user-reconnecting', (peerId) => {
+        showTileBanner(uiElements, peerId, 'Participant is reconnecting...', 'warning');
+    });
+
+    socket.on('user-reconnected', (peerId) => {
+        hideTileBanner(uiElements, peerId);
+    });
+
+    socket.on('new-user-joined', async (peerId) => {
+        showAlert('A new participant has joined the meeting', 'info');
+        // Existing participants open the connection to the newcomer
+        await loadIceServers();
+        startCall(peerId);
+        updateDebugInfo(`Peer connection created for new participant ${peerId}`, 'info');
+    });
+
+    /**
+     * Handle an offer message from a participant
+     * @param {Object} data - { from, offer, reset } as relayed by the server
+     */
+    function handleOfferMessage(data) {
+        // The other side rebuilt its connection, so ours is stale
+        if (data.reset) {
+            closePeerConnection(data.from, true);
+        }
+        handleDescription(data.from, data.offer);
+        updateDebugInfo(`Received and handled offer from ${data.from}`, 'debug');
+    }
+
     socket.on('offer', data => {
         if (data.meetingCode === meetingCode) {
-            handleOffer(data.offer);
-            updateDebugInfo('Received and handled offer');
+            // Which side is polite depends on our participant id, so offers that arrive
+            // before the server confirmed it wait for joined-meeting
+            if (!participantId) {
+                pendingOffers.set(data.from, data);
+                updateDebugInfo(`Holding offer from ${data.from} until we have joined`, 'debug');
+                return;
+            }
+            handleOfferMessage(data);
         }
     });
 
     socket.on('answer', data => {
         if (data.meetingCode === meetingCode) {
-            handleAnswer(data.answer);
-            updateDebugInfo('Received and handled answer');
+            handleDescription(data.from, data.answer);
+            updateDebugInfo(`Received and handled answer from ${data.from}`, 'debug');
         }
     });
 
     socket.on('ice-candidate', data => {
         if (data.meetingCode === meetingCode) {
-            handleIceCandidate(data.candidate);
-            updateDebugInfo('Received and handled ICE candidate');
+            handleIceCandidate(data.from, data.candidate);
+            updateDebugInfo(`Received and handled ICE candidate from ${data.from}`, 'debug');
         }
     });
 
-    socket.on('user-disconnected', () => {
-        showAlert('The other participant has left the meeting', 'warning', 'Participant Left');
-        uiElements.remoteVideo.srcObject = null;
-        // Clear peerConnection when user disconnects
-        if (peerConnection) {
-            peerConnection.close();
-            peerConnection = null;
-            window.peerConnection = null;
-            updateDebugInfo('Peer connection closed due to user disconnect');
+    socket.on('user-disconnected', (peerId) => {
+        showAlert('A participant has left the meeting', 'warning', 'Participant Left');
+        closePeerConnection(peerId);
+    });
+
+    socket.on('meeting-state', (state) => {
+        updateMeetingState(state);
+    });
+
+    // The meeting has a waiting room; the host decides whether we get in
+    socket.on('join-pending', () => {
+        uiElements.waitingNotice.classList.remove('hide');
+        showAlert('The host will let you in soon', 'info', 'Waiting Room');
+    });
+
+    socket.on('waiting-room', (data) => {
+        updateWaitingRoom(data.waiting);
+    });
+
+    // The host denied us from the waiting room, or the meeting ended while we waited
+    socket.on('join-rejected', (data) => {
+        leaveWithError(data.message);
+    });
+
+    socket.on('kicked', (data = {}) => {
+        showAlert(`${data.by === 'admin' ? 'An administrator' : 'The host'} removed you from the meeting`, 'error');
+        endCall();
+    });
+
+    socket.on('meeting-ended', (data = {}) => {
+        showAlert(`${data.by === 'admin' ? 'An administrator' : 'The host'} ended the meeting for everyone`, 'info');
+        endCall();
+    });
+
+    socket.on('user-removed', (peerId) => {
+        showAlert('The host removed a participant', 'info');
+        closePeerConnection(peerId);
+    });
+
+    // The host asked us to mute; we can unmute again whenever we want
+    socket.on('mute-request', () => {
+        const audioTrack = localStream ? localStream.getAudioTracks()[0] : null;
+        if (audioTrack && audioTrack.enabled) {
+            toggleAudio();
+            showAlert('The host muted your microphone. You can unmute yourself to speak.', 'warning');
         }
     });
 
-    // Add new socket event handler for call-ended
-    socket.on('call-ended', (userId) => {
-        showAlert('The other participant ended the call', 'warning', 'Call Ended');
-        // Skip confirmation since we're responding to the other user's action
-        endCall(true);
+    socket.on('moderation-error', (data) => {
+        showAlert(data.message, 'error');
     });
 
-    // Make peerConnection available globally for stats display
-    window.peerConnection = peerConnection;
+    // The server rejected something we sent; after repeated violations it disconnects us
+    socket.on('protocol-error', (data) => {
+        console.warn(`Server rejected ${data.event}: ${data.code}`, data.message);
+        updateDebugInfo(`Server rejected ${data.event}: ${data.message}`, 'warn');
+        if (data.fatal) {
+            showAlert('The server closed the connection after invalid requests', 'error', 'Disconnected');
+            endCall();
+        }
+    });
+
+    // A participant ending their call only removes them from ours
+    socket.on('call-ended', (peerId) => {
+        showAlert('A participant ended their call', 'warning', 'Participant Left');
+        closePeerConnection(peerId);
+    });
+
+    populateCodecSelect();
+
+    // Make peer connections available globally for stats display and the background service
+    window.peerConnections = peerConnections;
+
+    // Fall back to the default device when the selected one is unplugged
+    deviceService.onDeviceChange(lost => {
+        recaptureTracks(lost).catch(error => {
+            updateDebugInfo(`Error recovering from device change: ${error.message}`, 'error');
+        });
+    });
 
     // Add window unload handler for tab close
     window.addEventListener('beforeunload', (event) => {
@@ -503,11 +1556,29 @@ export function setupWebRTCConnection(socket, uiElements, backgroundService) {
         endCall,
         toggleAudio,
         toggleVideo,
+        toggleScreenShare,
+        switchDevices,
+        sendChatMessage,
+        toggleRaiseHand,
+        sendReaction,
+        sendFile,
+        setEncodingSettings,
+        getEncodingSettings: () => ({ ...encodingSettings }),
+        onCallEnd,
+        onCallStart,
+        isHost,
+        kickParticipant,
+        requestMute,
+        toggleMeetingLock,
+        endMeetingForAll,
+        setPreferredCodec,
         copyMeetingCode,
         copyMeetingLink,
         checkUrlForMeetingCode,
+        prepareMedia,
+        releaseMedia,
         getLocalStream: () => localStream,
         getMeetingCode: () => meetingCode,
-        getPeerConnection: () => peerConnection
+        getPeerConnections: () => peerConnections
     };
 }
\ No newline at end of file
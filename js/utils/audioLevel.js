@@ -0,0 +1,58 @@
+// Audio level measurement with the Web Audio API
+
+let audioContext = null;
+
+/**
+ * Get the shared AudioContext, creating it on first use
+ * @returns {AudioContext} - The shared audio context
+ */
+export function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    // Contexts created before a user gesture start suspended
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+    return audioContext;
+}
+
+/**
+ * Create a level meter for an audio track
+ * The track is cloned so the level is still measured while the original is muted
+ * @param {MediaStreamTrack} track - Audio track to measure
+ * @returns {Object} - Meter with getLevel() (0-1) and stop()
+ */
+export function createAudioLevelMeter(track) {
+    const context = getAudioContext();
+    const measuredTrack = track.clone();
+    measuredTrack.enabled = true;
+
+    const source = context.createMediaStreamSource(new MediaStream([measuredTrack]));
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    return {
+        sourceTrackId: track.id,
+
+        /**
+         * Current level as the RMS of the waveform, scaled so speech lands around 0.3-0.8
+         * @returns {number} - Level between 0 and 1
+         */
+        getLevel() {
+            analyser.getFloatTimeDomainData(samples);
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+        },
+
+        stop() {
+            source.disconnect();
+            measuredTrack.stop();
+        }
+    };
+}
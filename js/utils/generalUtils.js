@@ -1,4 +1,5 @@
 // General utility functions
+import { log } from './logger.js';
 
 /**
  * Formats bytes to human-readable format
@@ -29,14 +30,6 @@ export function formatTime(seconds) {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
-/**
- * Generates a random meeting code
- * @returns {string} Random meeting code (6 characters, uppercase)
- */
-export function generateMeetingCode() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 /**
  * Parse URL parameters into an object
  * @returns {Object} Key-value pairs of URL parameters
@@ -54,13 +47,30 @@ export function getUrlParameters() {
 }
 
 /**
- * Update debug information in the debug panel
+ * Log a debug message; the log viewer shows it and keeps the latest one in the debug panel
  * @param {string} message - Debug message to display
+ * @param {string} [level] - 'debug', 'info', 'warn' or 'error', 'info' by default
+ */
+export function updateDebugInfo(message, level = 'info') {
+    log(level, message, 'app');
+}
+
+/**
+ * Update a named group of counters in the debug panel
+ * @param {string} group - Counter group label (e.g. 'ICE candidates')
+ * @param {Object} counters - Counter names and their current values
  */
-export function updateDebugInfo(message) {
-    const debugInfoElement = document.getElementById('debugInfo');
-    if (debugInfoElement) {
-        debugInfoElement.textContent = message;
-        console.log(message);
+export function updateDebugCounters(group, counters) {
+    const countersElement = document.getElementById('debugCounters');
+    if (!countersElement) return;
+    
+    let groupElement = countersElement.querySelector(`[data-group="${group}"]`);
+    if (!groupElement) {
+        groupElement = document.createElement('div');
+        groupElement.dataset.group = group;
+        countersElement.appendChild(groupElement);
     }
+    
+    const values = Object.entries(counters).map(([name, value]) => `${name}: ${value}`).join(', ');
+    groupElement.textContent = `${group} - ${values}`;
 }
\ No newline at end of file
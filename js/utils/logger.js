@@ -0,0 +1,129 @@
+// Leveled client-side logger keeping recent entries for the in-app log viewer
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const MAX_ENTRIES = 2000; // Oldest entries are dropped beyond this
+const CONSOLE_LEVEL_KEY = 'segmentationLab.logLevel'; // localStorage key for the browser console verbosity
+
+const entries = [];
+const listeners = new Set();
+
+/**
+ * Lowest level printed to the browser console, 'info' unless set in localStorage
+ * @returns {string} - Level name
+ */
+function getConsoleLevel() {
+    try {
+        const level = localStorage.getItem(CONSOLE_LEVEL_KEY);
+        return LOG_LEVELS.includes(level) ? level : 'info';
+    } catch (error) {
+        return 'info';
+    }
+}
+
+const consoleLevel = getConsoleLevel();
+
+/**
+ * Record a log entry
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {string} message - What happened
+ * @param {string} [source] - Part of the app the entry comes from, e.g. 'models'
+ * @param {Array} [details] - Extra values, e.g. a config object
+ */
+export function log(level, message, source = 'app', details = []) {
+    const entry = {
+        time: Date.now(),
+        level: LOG_LEVELS.includes(level) ? level : 'info',
+        source,
+        message: String(message),
+        details
+    };
+
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) entries.shift();
+
+    if (LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(consoleLevel)) {
+        const method = entry.level === 'debug' ? 'log' : entry.level;
+        console[method](`[${source}] ${entry.message}`, ...details);
+    }
+    listeners.forEach(listener => listener(entry));
+}
+
+/**
+ * Create a logger bound to a source
+ * @param {string} source - Part of the app, e.g. 'webrtc'
+ * @returns {Object} - `{ debug, info, warn, error }`, each taking `(message, ...details)`
+ */
+export function createLogger(source) {
+    const logger = {};
+    LOG_LEVELS.forEach(level => {
+        logger[level] = (message, ...details) => log(level, message, source, details);
+    });
+    return logger;
+}
+
+/**
+ * Create a `debugCallback` for models and other classes that report through a single function
+ * @param {string} source - Part of the app, e.g. 'models'
+ * @returns {Function} - `(message, level)` callback, the level 'info' if omitted
+ */
+export function createDebugCallback(source) {
+    return (message, level = 'info') => log(level, message, source);
+}
+
+/**
+ * Get notified of every new entry
+ * @param {Function} listener - Called with each entry
+ * @returns {Function} - Removes the listener
+ */
+export function onLogEntry(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Get the kept entries, oldest first
+ * @returns {Array<Object>} - Log entries
+ */
+export function getLogEntries() {
+    return entries.slice();
+}
+
+/**
+ * Drop all kept entries
+ */
+export function clearLogEntries() {
+    entries.length = 0;
+}
+
+/**
+ * Format an entry as one line of text
+ * @param {Object} entry - Log entry
+ * @returns {string} - e.g. `12:00:01.250 WARN  [webrtc] Signaling connection lost`
+ */
+export function formatLogEntry(entry) {
+    const time = new Date(entry.time).toISOString().slice(11, 23);
+    const details = entry.details.map(detail => {
+        if (typeof detail === 'string') return detail;
+        try {
+            return JSON.stringify(detail);
+        } catch (error) {
+            return String(detail);
+        }
+    });
+    return [time, entry.level.toUpperCase().padEnd(5), `[${entry.source}]`, entry.message, ...details].join(' ');
+}
+
+/**
+ * Download the kept entries as a text file
+ */
+export function downloadLogs() {
+    const text = entries.map(formatLogEntry).join('\n');
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `segmentation-lab-log-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
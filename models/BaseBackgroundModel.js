@@ -12,7 +12,7 @@ export default class BaseBackgroundModel {
      * @returns {Promise<boolean>} True if initialization successful
      */
     async init() {
-        this.debugCallback('Base model init called - override in subclass');
+        this.debugCallback('Base model init called - override in subclass', 'warn');
         return false; // Must be implemented by subclasses
     }
 
@@ -25,7 +25,7 @@ export default class BaseBackgroundModel {
      * @returns {Object} Object with performance metrics (segmentationTime, totalTime)
      */
     async processFrame(videoElement, canvasElement, backgroundType, backgroundImage) {
-        this.debugCallback('Base processFrame called - override in subclass');
+        this.debugCallback('Base processFrame called - override in subclass', 'warn');
         // Draw original frame as fallback
         const ctx = canvasElement.getContext('2d');
         ctx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
@@ -35,6 +35,14 @@ export default class BaseBackgroundModel {
         };
     }
 
+    /**
+     * Trade segmentation quality for speed, e.g. when the CPU can't keep up with encoding
+     * @param {boolean} reduced True for the cheaper settings
+     */
+    setReducedQuality(reduced) {
+        this.reducedQuality = reduced;
+    }
+
     /**
      * Clean up resources, cancel any pending operations
      */
@@ -25,13 +25,23 @@ class BodyPixModel extends BaseBackgroundModel {
         };
     }
 
+    /**
+     * Segment at a lower internal resolution while quality is reduced
+     * @param {boolean} reduced - True for the cheaper settings
+     */
+    setReducedQuality(reduced) {
+        super.setReducedQuality(reduced);
+        this.segmentationConfig.internalResolution = reduced ? 'low' : 'medium';
+    }
+
     /**
      * Debug utility function
      * @param {string} message - Message to log
+     * @param {string} [level] - 'debug', 'info', 'warn' or 'error'
      */
-    debug(message) {
+    debug(message, level = 'info') {
         if (typeof this.debugCallback === 'function') {
-            this.debugCallback(message);
+            this.debugCallback(message, level);
         } else {
             console.log(`[BodyPixModel] ${message}`);
         }
@@ -43,7 +53,7 @@ class BodyPixModel extends BaseBackgroundModel {
      */
     async init() {
         try {
-            this.debug('Initializing BodyPix model...');
+            this.debug('Initializing BodyPix model...', 'info');
             
             // First, ensure TensorFlow.js is loaded
             await this._loadTensorFlowScript();
@@ -62,7 +72,7 @@ class BodyPixModel extends BaseBackgroundModel {
             }
             
             // Load the model
-            this.debug('Loading BodyPix model...');
+            this.debug('Loading BodyPix model...', 'info');
             this.net = await window.bodyPix.load({
                 architecture: 'MobileNetV1',
                 outputStride: 16,
@@ -70,11 +80,11 @@ class BodyPixModel extends BaseBackgroundModel {
                 quantBytes: 2
             });
             
-            this.debug('BodyPix model loaded successfully');
+            this.debug('BodyPix model loaded successfully', 'info');
             this.initialized = true;
             return true;
         } catch (error) {
-            this.debug(`Error initializing BodyPix model: ${error.message}`);
+            this.debug(`Error initializing BodyPix model: ${error.message}`, 'error');
             return false;
         }
     }
@@ -84,17 +94,17 @@ class BodyPixModel extends BaseBackgroundModel {
      */
     async _loadTensorFlowScript() {
         if (window.tf) {
-            this.debug('TensorFlow.js already loaded');
+            this.debug('TensorFlow.js already loaded', 'info');
             return Promise.resolve();
         }
 
-        this.debug('Loading TensorFlow.js script...');
+        this.debug('Loading TensorFlow.js script...', 'info');
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
             script.src = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.11.0/dist/tf.min.js';
             script.async = true;
             script.onload = () => {
-                this.debug('TensorFlow.js loaded successfully');
+                this.debug('TensorFlow.js loaded successfully', 'info');
                 resolve();
             };
             script.onerror = () => {
@@ -108,13 +118,13 @@ class BodyPixModel extends BaseBackgroundModel {
      * Helper method to dynamically load the BodyPix script
      */
     async _loadBodyPixScript() {
-        this.debug('Loading BodyPix script...');
+        this.debug('Loading BodyPix script...', 'info');
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
             script.src = 'https://cdn.jsdelivr.net/npm/@tensorflow-models/body-pix@2.2.0/dist/body-pix.min.js';
             script.async = true;
             script.onload = () => {
-                this.debug('BodyPix script loaded successfully');
+                this.debug('BodyPix script loaded successfully', 'info');
                 resolve();
             };
             script.onerror = () => {
@@ -142,7 +152,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         // Ensure video is ready and has valid dimensions
         if (!videoElement.videoWidth || !videoElement.videoHeight) {
-            this.debug('Video element has no dimensions, skipping frame processing');
+            this.debug('Video element has no dimensions, skipping frame processing', 'debug');
             return { segmentationTime: 0, totalTime: 0 };
         }
         
@@ -150,7 +160,7 @@ class BodyPixModel extends BaseBackgroundModel {
         if (canvas.width === 0 || canvas.height === 0) {
             canvas.width = videoElement.videoWidth;
             canvas.height = videoElement.videoHeight;
-            this.debug(`Canvas resized to ${canvas.width}x${canvas.height}`);
+            this.debug(`Canvas resized to ${canvas.width}x${canvas.height}`, 'debug');
         }
         
         const startTime = performance.now();
@@ -184,7 +194,7 @@ class BodyPixModel extends BaseBackgroundModel {
                 totalTime
             };
         } catch (error) {
-            this.debug(`Error in BodyPix processFrame: ${error.message}`);
+            this.debug(`Error in BodyPix processFrame: ${error.message}`, 'error');
             // Fallback: just draw the video frame on error
             ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
             return {
@@ -204,7 +214,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         // Validate canvas dimensions
         if (width === 0 || height === 0) {
-            this.debug('Canvas has invalid dimensions, cannot apply blur background');
+            this.debug('Canvas has invalid dimensions, cannot apply blur background', 'warn');
             ctx.drawImage(videoElement, 0, 0, width, height);
             return;
         }
@@ -223,7 +233,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         const tempCtx = tempCanvas.getContext('2d');
         if (!tempCtx) {
-            this.debug('Failed to get 2D context for temp canvas');
+            this.debug('Failed to get 2D context for temp canvas', 'error');
             return;
         }
         
@@ -250,7 +260,7 @@ class BodyPixModel extends BaseBackgroundModel {
             // Draw the person silhouette from temp canvas onto the main canvas with the blurred background
             ctx.drawImage(tempCanvas, 0, 0);
         } catch (error) {
-            this.debug(`Error in blur background processing: ${error.message}`);
+            this.debug(`Error in blur background processing: ${error.message}`, 'error');
             // Fallback to just drawing the video
             ctx.clearRect(0, 0, width, height);
             ctx.drawImage(videoElement, 0, 0, width, height);
@@ -266,7 +276,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         // Validate canvas dimensions
         if (width === 0 || height === 0) {
-            this.debug('Canvas has invalid dimensions, cannot apply image background');
+            this.debug('Canvas has invalid dimensions, cannot apply image background', 'warn');
             ctx.drawImage(videoElement, 0, 0, width, height);
             return;
         }
@@ -286,7 +296,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         // Ensure temp canvas has valid dimensions
         if (tempCanvas.width === 0 || tempCanvas.height === 0) {
-            this.debug('Cannot create temp canvas with zero dimensions');
+            this.debug('Cannot create temp canvas with zero dimensions', 'warn');
             // Fallback to just drawing the video without segmentation
             ctx.drawImage(videoElement, 0, 0, width, height);
             return;
@@ -294,7 +304,7 @@ class BodyPixModel extends BaseBackgroundModel {
         
         const tempCtx = tempCanvas.getContext('2d');
         if (!tempCtx) {
-            this.debug('Failed to get 2D context for temp canvas');
+            this.debug('Failed to get 2D context for temp canvas', 'error');
             ctx.drawImage(videoElement, 0, 0, width, height);
             return;
         }
@@ -322,7 +332,7 @@ class BodyPixModel extends BaseBackgroundModel {
             // Draw the temp canvas onto the main canvas
             ctx.drawImage(tempCanvas, 0, 0);
         } catch (error) {
-            this.debug(`Error in image background processing: ${error.message}`);
+            this.debug(`Error in image background processing: ${error.message}`, 'error');
             // Fallback to just drawing the video
             ctx.clearRect(0, 0, width, height);
             ctx.drawImage(videoElement, 0, 0, width, height);
@@ -338,9 +348,9 @@ class BodyPixModel extends BaseBackgroundModel {
                 this.net.dispose();
                 this.initialized = false;
                 this.net = null;
-                this.debug('BodyPix model disposed');
+                this.debug('BodyPix model disposed', 'info');
             } catch (error) {
-                this.debug(`Error disposing BodyPix model: ${error.message}`);
+                this.debug(`Error disposing BodyPix model: ${error.message}`, 'error');
             }
         }
     }
@@ -13,11 +13,13 @@ class MediaPipeModel extends BaseBackgroundModel {
         this.bufferCanvas = null;
         this.isLowPowerMode = false;
         this.lastProcessingTime = 0;
+        this.inputCanvas = null; // Smaller copy of the frame fed to the model while quality is reduced
+        this.inputScale = 1;
     }
 
     async init() {
         try {
-            this.debugCallback('Loading MediaPipe Selfie Segmentation model...');
+            this.debugCallback('Loading MediaPipe Selfie Segmentation model...', 'info');
             
             if (this.loadingPromise) {
                 return this.loadingPromise;
@@ -53,7 +55,7 @@ class MediaPipeModel extends BaseBackgroundModel {
                     await new Promise((modelResolve) => {
                         // Set a timeout to prevent infinite loading
                         const timeout = setTimeout(() => {
-                            this.debugCallback('MediaPipe: Model preload timed out, continuing anyway');
+                            this.debugCallback('MediaPipe: Model preload timed out, continuing anyway', 'warn');
                             modelResolve();
                         }, 5000);
                         
@@ -66,13 +68,13 @@ class MediaPipeModel extends BaseBackgroundModel {
                                 clearTimeout(timeout);
                                 modelResolve();
                             } catch (err) {
-                                this.debugCallback('MediaPipe: Preload error (not fatal): ' + err.message);
+                                this.debugCallback('MediaPipe: Preload error (not fatal): ' + err.message, 'warn');
                                 clearTimeout(timeout);
                                 modelResolve(); // Continue despite error
                             }
                         };
                         img.onerror = () => {
-                            this.debugCallback('MediaPipe: Failed to load dummy image, continuing anyway');
+                            this.debugCallback('MediaPipe: Failed to load dummy image, continuing anyway', 'warn');
                             clearTimeout(timeout);
                             modelResolve();
                         };
@@ -86,10 +88,10 @@ class MediaPipeModel extends BaseBackgroundModel {
                     // Enable adaptive performance mode
                     this._setupAdaptivePerformance();
                     
-                    this.debugCallback('MediaPipe Selfie Segmentation model loaded successfully');
+                    this.debugCallback('MediaPipe Selfie Segmentation model loaded successfully', 'info');
                     resolve(true);
                 } catch (error) {
-                    this.debugCallback('Failed to load MediaPipe model: ' + error.message);
+                    this.debugCallback('Failed to load MediaPipe model: ' + error.message, 'error');
                     this.isInitialized = false;
                     reject(error);
                 }
@@ -97,7 +99,7 @@ class MediaPipeModel extends BaseBackgroundModel {
             
             return this.loadingPromise;
         } catch (error) {
-            this.debugCallback('Failed to load MediaPipe model: ' + error.message);
+            this.debugCallback('Failed to load MediaPipe model: ' + error.message, 'error');
             throw error;
         }
     }
@@ -122,6 +124,35 @@ class MediaPipeModel extends BaseBackgroundModel {
         }, 5000); // Check every 5 seconds
     }
 
+    /**
+     * Feed the model a half-size frame and reuse each mask for one more frame while quality is reduced
+     * @param {boolean} reduced - True for the cheaper settings
+     */
+    setReducedQuality(reduced) {
+        super.setReducedQuality(reduced);
+        this.inputScale = reduced ? 0.5 : 1;
+    }
+
+    /**
+     * Get the canvas the model input is drawn to, scaled down while quality is reduced
+     * @returns {HTMLCanvasElement} - The input canvas
+     */
+    _getInputCanvas() {
+        if (this.inputScale === 1) {
+            return this.bufferCanvas;
+        }
+        if (!this.inputCanvas) {
+            this.inputCanvas = document.createElement('canvas');
+        }
+        const width = Math.round(this.bufferCanvas.width * this.inputScale);
+        const height = Math.round(this.bufferCanvas.height * this.inputScale);
+        if (this.inputCanvas.width !== width || this.inputCanvas.height !== height) {
+            this.inputCanvas.width = width;
+            this.inputCanvas.height = height;
+        }
+        return this.inputCanvas;
+    }
+
     async processFrame(videoElement, canvasElement, backgroundType, backgroundImage) {
         const startTime = performance.now();
         const ctx = canvasElement.getContext('2d');
@@ -137,7 +168,7 @@ class MediaPipeModel extends BaseBackgroundModel {
         }
         
         if (!this.isInitialized || !this.segmenter) {
-            this.debugCallback('MediaPipe model not initialized yet');
+            this.debugCallback('MediaPipe model not initialized yet', 'debug');
             ctx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
             return {
                 segmentationTime: 0,
@@ -146,7 +177,7 @@ class MediaPipeModel extends BaseBackgroundModel {
         }
         
         // Skip frames for better performance if needed
-        if (this.skippedFrames < this.maxSkippedFrames) {
+        if (this.skippedFrames < this.maxSkippedFrames + (this.reducedQuality ? 1 : 0)) {
             this.skippedFrames++;
             
             // If we have previous results, use them instead of dropping frame entirely
@@ -183,17 +214,18 @@ class MediaPipeModel extends BaseBackgroundModel {
             // Mark as processing
             this.processingFrame = true;
             
-            // Use the buffer canvas for more efficient processing
-            const bufferCtx = this.bufferCanvas.getContext('2d');
+            // Use the buffer canvas (or its scaled-down copy) for more efficient processing
+            const inputCanvas = this._getInputCanvas();
+            const inputCtx = inputCanvas.getContext('2d');
             
             // Draw video with flip to counter the selfieMode:false setting
-            bufferCtx.save();
-            bufferCtx.scale(-1, 1);
-            bufferCtx.drawImage(videoElement, -this.bufferCanvas.width, 0, this.bufferCanvas.width, this.bufferCanvas.height);
-            bufferCtx.restore();
+            inputCtx.save();
+            inputCtx.scale(-1, 1);
+            inputCtx.drawImage(videoElement, -inputCanvas.width, 0, inputCanvas.width, inputCanvas.height);
+            inputCtx.restore();
             
-            // Process the frame with MediaPipe - use the buffer canvas as input
-            await this.segmenter.send({image: this.bufferCanvas});
+            // Process the frame with MediaPipe - use the input canvas as input
+            await this.segmenter.send({image: inputCanvas});
             
             // Small timeout to avoid WASM memory issues
             await new Promise(resolve => setTimeout(resolve, 5));
@@ -202,7 +234,7 @@ class MediaPipeModel extends BaseBackgroundModel {
             
             // If no results are available, use the last known results or fall back to the original video
             if (!this.lastResults) {
-                this.debugCallback('No MediaPipe results available yet');
+                this.debugCallback('No MediaPipe results available yet', 'debug');
                 ctx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
                 this.processingFrame = false;
                 return {
@@ -226,7 +258,7 @@ class MediaPipeModel extends BaseBackgroundModel {
             };
             
         } catch (error) {
-            this.debugCallback('Error in MediaPipe processing: ' + error.message);
+            this.debugCallback('Error in MediaPipe processing: ' + error.message, 'error');
             this.processingFrame = false;
             
             // Fallback to original frame
@@ -269,8 +301,8 @@ class MediaPipeModel extends BaseBackgroundModel {
             // No need to log everyday operations
             
         } else if (backgroundType === 'beach' || backgroundType === 'office' || backgroundType === 'custom') {
-            // Check if background image is available
-            if (backgroundImage && backgroundImage.complete) {
+            // Check if background image is available (canvases, e.g. in presenter mode, are always ready)
+            if (backgroundImage && (backgroundImage.complete || backgroundImage instanceof HTMLCanvasElement)) {
                 // First draw the background image
                 ctx.save();
                 ctx.drawImage(backgroundImage, 0, 0, canvasElement.width, canvasElement.height);
@@ -296,7 +328,7 @@ class MediaPipeModel extends BaseBackgroundModel {
                 // No need to log everyday operations
             } else {
                 // If image isn't loaded yet, show a message and fall back to original video
-                this.debugCallback(`MediaPipe: Background image for ${backgroundType} not ready yet`);
+                this.debugCallback(`MediaPipe: Background image for ${backgroundType} not ready yet`, 'debug');
                 ctx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
             }
         } else {
@@ -310,7 +342,7 @@ class MediaPipeModel extends BaseBackgroundModel {
             try {
                 this.segmenter.close();
             } catch (error) {
-                this.debugCallback('Error closing MediaPipe model: ' + error.message);
+                this.debugCallback('Error closing MediaPipe model: ' + error.message, 'error');
             }
             this.segmenter = null;
             this.lastResults = null;
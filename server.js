@@ -1,121 +1,792 @@
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
+const { getIceServers } = require('./server/iceServers');
+const { hashPassword, verifyPassword } = require('./server/passwords');
+const { allocateMeetingCode } = require('./server/meetingCodes');
+const { validateEvent } = require('./server/validation');
+const { createRateLimiter } = require('./server/rateLimiter');
+const { createAdminRouter } = require('./server/adminRoutes');
+const { createMetricsRegistry } = require('./server/metrics');
+const { logger, setLogLevel } = require('./server/logger');
+const { loadConfig } = require('./server/config');
+
+const config = loadConfig();
+setLogLevel(config.logLevel);
 
 const app = express();
-const server = http.createServer(app);
-const io = new Server(server);
+// HTTPS when a certificate is configured, so cameras also work for clients on other machines
+const server = config.tls
+    ? https.createServer({ cert: fs.readFileSync(config.tls.certPath), key: fs.readFileSync(config.tls.keyPath) }, app)
+    : http.createServer(app);
+const corsOrigin = config.corsOrigins.includes('*') ? '*' : config.corsOrigins;
+const io = new Server(server, {
+    ...config.socketIo,
+    ...(config.corsOrigins.length > 0 && { cors: { origin: corsOrigin } })
+});
 
-// Serve static files
-app.use(express.static('.'));
+// Serve only the client's files, not the server code and package files next to them
+config.publicPaths.forEach(publicPath => {
+    const absolutePath = path.join(config.staticRoot, publicPath);
+    if (fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory()) {
+        app.use(`/${publicPath}`, express.static(absolutePath));
+    } else {
+        app.get(`/${publicPath}`, (req, res) => res.sendFile(absolutePath));
+    }
+});
+app.get('/', (req, res) => res.sendFile(path.join(config.staticRoot, 'index.html')));
+
+// Let the configured origins call the API from other sites
+app.use('/api', (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && (corsOrigin === '*' || config.corsOrigins.includes(origin))) {
+        res.set('Access-Control-Allow-Origin', corsOrigin === '*' ? '*' : origin);
+        res.set('Vary', 'Origin');
+        res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.set('Access-Control-Allow-Methods', 'GET, DELETE');
+    }
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return;
+    }
+    next();
+});
+
+// ICE servers for clients, minting fresh TURN credentials on every request
+app.get('/api/ice-servers', (req, res) => {
+    const userId = crypto.randomBytes(6).toString('hex');
+    res.set('Cache-Control', 'no-store');
+    res.json(getIceServers(userId, config.ice));
+});
 
 // Keep track of meetings and their participants
 const meetings = {};
 
+// How long a dropped client may take to reconnect and reclaim its seat
+const SESSION_RESUME_WINDOW_MS = 30000;
+
+const MAX_PARTICIPANTS = config.maxParticipants;
+
+// Codes of meetings that ended recently: joins get a clear "ended" error and the codes are not handed out again
+const ENDED_MEETING_TTL_MS = 6 * 60 * 60 * 1000;
+const endedMeetings = new Map(); // Meeting code -> time it ended
+
+/**
+ * Remember that a meeting ended, for ENDED_MEETING_TTL_MS
+ * @param {string} meetingCode - Code of the meeting
+ */
+function rememberEndedMeeting(meetingCode) {
+    endedMeetings.set(meetingCode, Date.now());
+    setTimeout(() => endedMeetings.delete(meetingCode), ENDED_MEETING_TTL_MS).unref();
+}
+
+/**
+ * Build the structured error sent in create/join acknowledgements
+ * @param {string} code - Machine-readable error code, e.g. 'not-found'
+ * @param {string} message - Message to show the user
+ * @returns {Object} `{ ok: false, error: { code, message } }`
+ */
+function joinError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Invalid, oversized, rate limited or misaddressed events a socket may send before it is disconnected
+const MAX_PROTOCOL_VIOLATIONS = 5;
+
+// Resumable sessions by token: { meetingCode, participantId, socketId, expiryTimer }
+const sessions = {};
+
+/**
+ * Create a meeting with its creator as host
+ * @param {string} meetingCode - Code of the new meeting
+ * @param {string} hostId - Participant id of the creator
+ * @param {Object} [options] - `password` as stored by hashPassword, `waitingRoom` to have the host admit joiners
+ * @returns {Object} The meeting
+ */
+function createMeetingState(meetingCode, hostId, options = {}) {
+    meetings[meetingCode] = {
+        participants: new Set(),
+        hostId,
+        createdAt: Date.now(),
+        locked: false,
+        password: options.password || null,
+        waitingRoom: Boolean(options.waitingRoom),
+        // Socket id -> { requestedAt, admit(), reject(message) } for joiners waiting for the host
+        waiting: new Map()
+    };
+    return meetings[meetingCode];
+}
+
+/**
+ * Send the host the current list of people in the waiting room
+ * @param {Object} meeting - The meeting
+ */
+function notifyWaitingRoom(meeting) {
+    if (!meeting.hostId) return;
+    const waiting = Array.from(meeting.waiting.entries())
+        .map(([participantId, entry]) => ({ participantId, requestedAt: entry.requestedAt }));
+    io.to(meeting.hostId).emit('waiting-room', { waiting });
+}
+
+/**
+ * The part of a meeting's state clients are told about
+ * @param {Object} meeting - The meeting
+ * @returns {Object} Host, lock, capacity, password and waiting room settings
+ */
+function getMeetingState(meeting) {
+    return {
+        hostId: meeting.hostId,
+        locked: meeting.locked,
+        maxParticipants: MAX_PARTICIPANTS,
+        passwordProtected: Boolean(meeting.password),
+        waitingRoom: meeting.waitingRoom
+    };
+}
+
+/**
+ * Remove a participant from a meeting and delete the meeting once it is empty
+ * When the host leaves, the participant who has been in the meeting longest takes over
+ * @param {string} meetingCode - Meeting to leave
+ * @param {string} participantId - Participant to remove
+ */
+function removeParticipant(meetingCode, participantId) {
+    const meeting = meetings[meetingCode];
+    if (!meeting) return;
+    
+    meeting.participants.delete(participantId);
+    
+    // Clean up empty meetings; nobody is left to admit the waiting room
+    if (meeting.participants.size === 0) {
+        meeting.waiting.forEach(entry => entry.reject('The meeting has ended'));
+        delete meetings[meetingCode];
+        rememberEndedMeeting(meetingCode);
+        logger.info('Meeting deleted, no participants left', { meetingCode });
+        return;
+    }
+    
+    if (meeting.hostId === participantId) {
+        // Sets keep insertion order, so the first entry joined earliest
+        meeting.hostId = meeting.participants.values().next().value;
+        logger.info('Host passed on', { meetingCode, hostId: meeting.hostId });
+        io.to(meetingCode).emit('meeting-state', getMeetingState(meeting));
+        notifyWaitingRoom(meeting);
+    }
+}
+
+/**
+ * Take a participant out of a meeting on the server's initiative (kick, end for all)
+ * Their session is dropped so it can't be resumed, and their socket is told why and disconnected
+ * @param {string} meetingCode - Meeting to remove the participant from
+ * @param {string} participantId - Participant to remove
+ * @param {string} event - Event sent to the participant before disconnecting, e.g. 'kicked'
+ * @param {Object} [data] - Event payload
+ */
+function expelParticipant(meetingCode, participantId, event, data) {
+    const entry = Object.entries(sessions)
+        .find(([, session]) => session.meetingCode === meetingCode && session.participantId === participantId);
+    
+    if (entry) {
+        const [token, session] = entry;
+        clearTimeout(session.expiryTimer);
+        delete sessions[token];
+        
+        const participantSocket = io.sockets.sockets.get(session.socketId);
+        if (participantSocket) {
+            participantSocket.emit(event, data);
+            participantSocket.disconnect(true);
+        }
+    }
+    
+    removeParticipant(meetingCode, participantId);
+}
+
+/**
+ * Remove a participant and tell the rest of the meeting
+ * @param {string} meetingCode - Meeting to remove the participant from
+ * @param {string} participantId - Participant to remove
+ * @param {string} by - Who asked: 'host' or 'admin'
+ */
+function kickParticipant(meetingCode, participantId, by) {
+    logger.info('Participant removed', { meetingCode, participantId, by });
+    expelParticipant(meetingCode, participantId, 'kicked', { by });
+    io.to(meetingCode).emit('user-removed', participantId);
+}
+
+/**
+ * End a meeting for every participant
+ * @param {string} meetingCode - Meeting to end
+ * @param {string} by - Who asked: 'host' or 'admin'
+ */
+function endMeeting(meetingCode, by) {
+    const meeting = meetings[meetingCode];
+    if (!meeting) return;
+    
+    logger.info('Meeting ended for all', { meetingCode, by });
+    // No host hand-over while everyone is being removed
+    meeting.hostId = null;
+    Array.from(meeting.participants).forEach(id => expelParticipant(meetingCode, id, 'meeting-ended', { by }));
+}
+
+// Operator API, enabled by setting ADMIN_TOKEN
+app.use('/api/admin', createAdminRouter({
+    token: config.adminToken,
+    meetings,
+    sessions,
+    maxParticipants: MAX_PARTICIPANTS,
+    kickParticipant: (meetingCode, participantId) => kickParticipant(meetingCode, participantId, 'admin'),
+    endMeeting: meetingCode => endMeeting(meetingCode, 'admin')
+}));
+
+// Prometheus metrics; gauges are read from the live state on every scrape
+const metrics = createMetricsRegistry();
+metrics.gauge('segmentation_lab_connected_sockets', 'Connected signaling sockets', () => io.sockets.sockets.size);
+metrics.gauge('segmentation_lab_active_meetings', 'Meetings with at least one participant', () => Object.keys(meetings).length);
+// Aggregates only: meeting codes are what lets people join, so they must not show up on /metrics
+const participantCounts = () => Object.values(meetings).map(meeting => meeting.participants.size);
+metrics.gauge('segmentation_lab_participants', 'Participants in all active meetings, including seats held for a resume',
+    () => participantCounts().reduce((total, count) => total + count, 0));
+metrics.gauge('segmentation_lab_largest_meeting_participants', 'Participants in the largest active meeting',
+    () => Math.max(0, ...participantCounts()));
+const signalingMessages = metrics.counter('segmentation_lab_signaling_messages_total', 'Signaling messages received, by type');
+const rateLimitRejections = metrics.counter('segmentation_lab_rate_limit_rejections_total', 'Events dropped by the per-socket rate limits, by event');
+
+// Set on SIGTERM so load balancers stop sending new clients while the server drains
+let shuttingDown = false;
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: the server accepts new connections
+app.get('/readyz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    const ready = server.listening && !shuttingDown;
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not-ready' });
+});
+
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 // Handle WebSocket connections
 io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
     let currentMeetingCode = null;
+    // Stable id other participants know us by; it survives socket reconnects
+    let participantId = null;
+    let sessionToken = null;
+    // Meeting whose waiting room we are in, until the host admits or denies us
+    let waitingMeetingCode = null;
+    // Every line carries the socket and, once known, its meeting and participant id
+    const log = logger.child(() => ({
+        socketId: socket.id,
+        meetingCode: currentMeetingCode || waitingMeetingCode,
+        participantId
+    }));
+    log.info('Socket connected');
+    const rateLimiter = createRateLimiter();
+    let protocolViolations = 0;
 
-    // Create a new meeting
-    socket.on('create-meeting', (meetingCode) => {
-        currentMeetingCode = meetingCode;
+    /**
+     * Tell the client it sent something it must not, and disconnect it after repeated violations
+     * @param {string} event - Event that broke the rules
+     * @param {Object} violation - `{ code, message }`, e.g. from validateEvent
+     */
+    function reportViolation(event, violation) {
+        protocolViolations++;
+        log.warn('Protocol violation', { event, ...violation, count: protocolViolations });
         
-        // Initialize meeting if it doesn't exist
-        if (!meetings[meetingCode]) {
-            meetings[meetingCode] = { participants: new Set() };
+        if (protocolViolations < MAX_PROTOCOL_VIOLATIONS) {
+            socket.emit('protocol-error', { event, ...violation, fatal: false });
+            return;
         }
         
-        // Join the socket to the meeting room
+        log.warn('Disconnecting after repeated protocol violations', { count: protocolViolations });
+        socket.emit('protocol-error', {
+            event,
+            code: 'too-many-violations',
+            message: 'Disconnected after repeated invalid requests',
+            fatal: true
+        });
+        // Give the seat up right away instead of holding it for a resume
+        leaveMeeting();
+        socket.disconnect(true);
+    }
+
+    // Every event is checked against its schema and the socket's rate limits before any handler runs
+    socket.use(([event, ...args], next) => {
+        // Packets that were already received when we disconnected the socket
+        if (socket.disconnected) return;
+        
+        const violation = validateEvent(event, args);
+        const rateLimited = !violation && !rateLimiter.allow(event);
+        if (!violation && !rateLimited) {
+            next();
+            return;
+        }
+        const rejection = violation || { code: 'rate-limited', message: `Too many ${event} requests` };
+        
+        // Answer requests that wait for an acknowledgement, so the client doesn't hang until its timeout
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            callback(joinError(rejection.code, rejection.message));
+        }
+        
+        // A well-formed request over its budget is dropped but doesn't count towards a disconnect
+        if (rateLimited) {
+            rateLimitRejections.inc({ event });
+            log.debug('Rate limited', { event });
+            socket.emit('protocol-error', { event, ...rejection, fatal: false });
+            return;
+        }
+        reportViolation(event, violation);
+    });
+
+    /**
+     * Add this socket to a meeting as a new participant and issue its session token
+     * @param {string} meetingCode - Meeting to join
+     */
+    function enterMeeting(meetingCode) {
+        currentMeetingCode = meetingCode;
+        participantId = socket.id;
+        sessionToken = crypto.randomBytes(16).toString('hex');
+        sessions[sessionToken] = { meetingCode, participantId, socketId: socket.id, expiryTimer: null };
+        
+        // Join the socket to the meeting room and to a room named after the participant,
+        // which is what signaling messages are addressed to
         socket.join(meetingCode);
-        meetings[meetingCode].participants.add(socket.id);
+        socket.join(participantId);
+        meetings[meetingCode].participants.add(participantId);
+        
+        socket.emit('joined-meeting', {
+            participantId,
+            sessionToken,
+            resumeWindow: SESSION_RESUME_WINDOW_MS,
+            ...getMeetingState(meetings[meetingCode])
+        });
+    }
+
+    /**
+     * Check that this socket is the host of its meeting before a moderation command
+     * @param {string} action - Name of the command, for logging and the error reply
+     * @returns {Object|null} The meeting, or null if the command is not allowed
+     */
+    function requireHost(action) {
+        const meeting = meetings[currentMeetingCode];
+        if (!participantId || !meeting || meeting.hostId !== participantId) {
+            log.warn('Moderation command rejected, not the host', { action });
+            socket.emit('moderation-error', { action, message: 'Only the host can do that' });
+            return null;
+        }
+        return meeting;
+    }
+
+    /**
+     * Reclaim the seat of a session whose socket dropped
+     * @param {string} token - Session token presented in the handshake
+     */
+    function resumeSession(token) {
+        const session = sessions[token];
+        if (!session || !meetings[session.meetingCode]) {
+            log.info('Unknown or expired session presented');
+            socket.emit('session-expired');
+            return;
+        }
+        
+        clearTimeout(session.expiryTimer);
+        session.expiryTimer = null;
+        
+        // The old socket may not have noticed the drop yet
+        const previousSocket = io.sockets.sockets.get(session.socketId);
+        session.socketId = socket.id;
+        if (previousSocket) {
+            previousSocket.disconnect(true);
+        }
+        
+        currentMeetingCode = session.meetingCode;
+        participantId = session.participantId;
+        sessionToken = token;
+        socket.join(currentMeetingCode);
+        socket.join(participantId);
+        
+        log.info('Session resumed');
+        socket.emit('session-resumed', {
+            meetingCode: currentMeetingCode,
+            participantId,
+            ...getMeetingState(meetings[currentMeetingCode])
+        });
+        socket.to(currentMeetingCode).emit('user-reconnected', participantId);
+    }
+
+    // Clients present their session token on every reconnect
+    if (socket.handshake.auth && socket.handshake.auth.sessionToken) {
+        resumeSession(socket.handshake.auth.sessionToken);
+    }
+
+    /**
+     * Enter a meeting as a joiner and let the others open peer connections to us
+     * @param {string} meetingCode - Meeting to join
+     */
+    function admitToMeeting(meetingCode) {
+        enterMeeting(meetingCode);
+        log.info('Joined meeting');
+        
+        // Notify other participants in the meeting so each of them can open a peer connection to us
+        socket.to(meetingCode).emit('new-user-joined', participantId);
+    }
+
+    /**
+     * Wait in the meeting's waiting room until the host admits or denies us
+     * @param {string} meetingCode - Meeting to join
+     * @param {Object} meeting - The meeting
+     */
+    function enterWaitingRoom(meetingCode, meeting) {
+        waitingMeetingCode = meetingCode;
+        meeting.waiting.set(socket.id, {
+            requestedAt: Date.now(),
+            admit: () => {
+                waitingMeetingCode = null;
+                admitToMeeting(meetingCode);
+            },
+            reject: (message) => {
+                waitingMeetingCode = null;
+                socket.emit('join-rejected', joinError('denied', message).error);
+            }
+        });
+        
+        log.info('Waiting to be admitted');
+        socket.emit('join-pending');
+        notifyWaitingRoom(meeting);
+    }
+
+    // Give up waiting, e.g. because the joiner cancelled or disconnected
+    function leaveWaitingRoom() {
+        const meeting = meetings[waitingMeetingCode];
+        waitingMeetingCode = null;
+        if (meeting && meeting.waiting.delete(socket.id)) {
+            notifyWaitingRoom(meeting);
+        }
+    }
+
+    /**
+     * Refuse create and join requests from sockets that are already in or waiting for a meeting
+     * @param {Function} callback - Acknowledgement callback of the request
+     * @returns {boolean} Whether the request was refused
+     */
+    function refuseIfJoined(callback) {
+        if (!currentMeetingCode && !waitingMeetingCode) return false;
+        callback(joinError('already-joined', 'Leave the current meeting first'));
+        return true;
+    }
+
+    // Create a new meeting, optionally with a password and a waiting room
+    // The server picks the code and acknowledges with { ok, meetingCode } or { ok: false, error }
+    socket.on('create-meeting', async (options = {}, callback = () => {}) => {
+        // Options are optional, so the acknowledgement may come first
+        if (typeof options === 'function') {
+            [options, callback] = [{}, options];
+        }
+        if (refuseIfJoined(callback)) return;
+        const password = options.password ? await hashPassword(options.password) : null;
+        
+        // The socket may have gone, or created or joined a meeting through a parallel request, while hashing
+        if (socket.disconnected) {
+            log.info('Create abandoned, socket disconnected');
+            return;
+        }
+        if (refuseIfJoined(callback)) return;
+        
+        let meetingCode;
+        try {
+            meetingCode = allocateMeetingCode(code => Boolean(meetings[code]) || endedMeetings.has(code), config.meetingCodeFormat);
+        } catch (error) {
+            log.error('Could not create a meeting', { error });
+            callback(joinError('unavailable', 'Could not create a meeting right now, please try again'));
+            return;
+        }
         
-        console.log(`User ${socket.id} created meeting ${meetingCode}`);
-        socket.emit('joined-meeting');
+        // The creator becomes host
+        createMeetingState(meetingCode, socket.id, { password, waitingRoom: options.waitingRoom });
+        enterMeeting(meetingCode);
+        log.info('Created meeting', { waitingRoom: Boolean(options.waitingRoom), passwordProtected: Boolean(password) });
+        callback({ ok: true, meetingCode });
     });
 
     // Join an existing meeting
-    socket.on('join-meeting', (meetingCode) => {
-        currentMeetingCode = meetingCode;
+    // Acknowledged with { ok, pending } once joined or waiting, or { ok: false, error } with a code such as 'not-found'
+    socket.on('join-meeting', async (meetingCode, options = {}, callback = () => {}) => {
+        // Options are optional, so the acknowledgement may come second
+        if (typeof options === 'function') {
+            [options, callback] = [{}, options];
+        }
+        /**
+         * Refuse the join
+         * @param {string} code - Error code for the client
+         * @param {string} message - Message to show the user
+         */
+        const refuse = (code, message) => {
+            log.info('Join refused', { requestedMeeting: meetingCode, code });
+            callback(joinError(code, message));
+        };
+        
+        if (refuseIfJoined(callback)) return;
         
-        // Check if meeting exists
-        if (!meetings[meetingCode]) {
-            meetings[meetingCode] = { participants: new Set() };
+        const meeting = meetings[meetingCode];
+        if (!meeting) {
+            if (endedMeetings.has(meetingCode)) {
+                refuse('expired', 'This meeting has ended');
+            } else {
+                refuse('not-found', 'There is no meeting with this code. Check the code and try again.');
+            }
+            return;
         }
         
-        // Join the socket to the meeting room
-        socket.join(meetingCode);
-        meetings[meetingCode].participants.add(socket.id);
+        if (meeting.locked) {
+            refuse('locked', 'The host has locked this meeting');
+            return;
+        }
+        if (meeting.participants.size >= MAX_PARTICIPANTS) {
+            refuse('full', `This meeting is full (${MAX_PARTICIPANTS} participants)`);
+            return;
+        }
+        if (meeting.password && !await verifyPassword(options.password, meeting.password)) {
+            refuse('password', 'Wrong meeting password');
+            return;
+        }
         
-        console.log(`User ${socket.id} joined meeting ${meetingCode}`);
-        socket.emit('joined-meeting');
+        // Anything may have changed while the password was checked: the socket may be gone, or
+        // have joined through a parallel request, and the meeting may have ended or filled up
+        if (socket.disconnected) {
+            log.info('Join abandoned, socket disconnected', { requestedMeeting: meetingCode });
+            return;
+        }
+        if (refuseIfJoined(callback)) return;
+        if (meetings[meetingCode] !== meeting) {
+            refuse('expired', 'This meeting has ended');
+            return;
+        }
+        if (meeting.participants.size >= MAX_PARTICIPANTS) {
+            refuse('full', `This meeting is full (${MAX_PARTICIPANTS} participants)`);
+            return;
+        }
         
-        // Notify other participants in the meeting
-        socket.to(meetingCode).emit('new-user-joined');
+        if (meeting.waitingRoom) {
+            enterWaitingRoom(meetingCode, meeting);
+            callback({ ok: true, pending: true });
+        } else {
+            admitToMeeting(meetingCode);
+            callback({ ok: true, pending: false });
+        }
     });
 
-    // Handle end call event
-    socket.on('end-call', () => {
+    // Host: let someone in the waiting room join
+    socket.on('admit', (data) => {
+        const meeting = requireHost('admit');
+        if (!meeting) return;
+        
+        const waitingId = data.participantId;
+        const entry = meeting.waiting.get(waitingId);
+        if (!entry) {
+            socket.emit('moderation-error', { action: 'admit', message: 'That person is no longer waiting' });
+            return;
+        }
+        if (meeting.participants.size >= MAX_PARTICIPANTS) {
+            socket.emit('moderation-error', { action: 'admit', message: 'The meeting is full' });
+            return;
+        }
+        
+        log.info('Admitted from the waiting room', { admittedId: waitingId });
+        meeting.waiting.delete(waitingId);
+        entry.admit();
+        notifyWaitingRoom(meeting);
+    });
+
+    // Host: turn someone in the waiting room away
+    socket.on('deny', (data) => {
+        const meeting = requireHost('deny');
+        if (!meeting) return;
+        
+        const waitingId = data.participantId;
+        const entry = meeting.waiting.get(waitingId);
+        if (!entry) return;
+        
+        log.info('Denied entry from the waiting room', { deniedId: waitingId });
+        meeting.waiting.delete(waitingId);
+        entry.reject('The host did not let you in');
+        notifyWaitingRoom(meeting);
+    });
+
+    /**
+     * Leave the waiting room or the meeting and give up the seat
+     */
+    function leaveMeeting() {
+        if (waitingMeetingCode) {
+            leaveWaitingRoom();
+        }
+        
         if (currentMeetingCode && meetings[currentMeetingCode]) {
             // Notify other participants in the meeting first
-            socket.to(currentMeetingCode).emit('call-ended', socket.id);
+            socket.to(currentMeetingCode).emit('call-ended', participantId);
             
-            // Remove user from meeting
-            meetings[currentMeetingCode].participants.delete(socket.id);
+            // Leave the socket rooms
+            socket.leave(currentMeetingCode);
+            socket.leave(participantId);
             
-            // Clean up empty meetings
-            if (meetings[currentMeetingCode].participants.size === 0) {
-                delete meetings[currentMeetingCode];
-                console.log(`Meeting ${currentMeetingCode} deleted (no participants)`);
-            }
+            // Remove user from meeting
+            removeParticipant(currentMeetingCode, participantId);
             
-            // Leave the socket room
-            socket.leave(currentMeetingCode);
+            // The seat is given up, so it can no longer be resumed
+            delete sessions[sessionToken];
             
-            // Reset the meeting code
+            // Reset the meeting state
             currentMeetingCode = null;
+            participantId = null;
+            sessionToken = null;
+        }
+    }
+
+    // Handle end call event
+    socket.on('end-call', leaveMeeting);
+
+    // Host: remove a participant from the meeting
+    socket.on('kick', (data) => {
+        const meeting = requireHost('kick');
+        if (!meeting) return;
+        
+        const targetId = data.participantId;
+        if (!meeting.participants.has(targetId) || targetId === participantId) {
+            socket.emit('moderation-error', { action: 'kick', message: 'That participant is not in the meeting' });
+            return;
         }
+        
+        kickParticipant(currentMeetingCode, targetId, 'host');
     });
 
-    // Handle offer signal
-    socket.on('offer', (data) => {
-        console.log(`Offer from ${socket.id} in meeting ${data.meetingCode}`);
-        socket.to(data.meetingCode).emit('offer', data);
+    // Host: ask one participant, or everyone else when no id is given, to mute their microphone
+    socket.on('mute-request', (data) => {
+        const meeting = requireHost('mute-request');
+        if (!meeting) return;
+        
+        const targetId = data && data.participantId;
+        if (targetId && (!meeting.participants.has(targetId) || targetId === participantId)) {
+            socket.emit('moderation-error', { action: 'mute-request', message: 'That participant is not in the meeting' });
+            return;
+        }
+        
+        log.info('Mute requested', { targetId: targetId || 'everyone' });
+        if (targetId) {
+            io.to(targetId).emit('mute-request');
+        } else {
+            socket.to(currentMeetingCode).emit('mute-request');
+        }
     });
 
-    // Handle answer signal
-    socket.on('answer', (data) => {
-        console.log(`Answer from ${socket.id} in meeting ${data.meetingCode}`);
-        socket.to(data.meetingCode).emit('answer', data);
+    // Host: stop (or allow again) new participants from joining
+    socket.on('lock-meeting', (data) => {
+        const meeting = requireHost('lock-meeting');
+        if (!meeting) return;
+        
+        meeting.locked = data.locked;
+        log.info(meeting.locked ? 'Meeting locked' : 'Meeting unlocked');
+        io.to(currentMeetingCode).emit('meeting-state', getMeetingState(meeting));
     });
 
-    // Handle ICE candidate signal
-    socket.on('ice-candidate', (data) => {
-        console.log(`ICE candidate from ${socket.id} in meeting ${data.meetingCode}`);
-        socket.to(data.meetingCode).emit('ice-candidate', data);
+    // Host: end the meeting for every participant, including the host
+    socket.on('end-for-all', () => {
+        const meeting = requireHost('end-for-all');
+        if (!meeting) return;
+        
+        endMeeting(currentMeetingCode, 'host');
     });
 
+    /**
+     * Relay a signaling message to a single participant of our own meeting
+     * @param {string} type - Signaling event name ('offer', 'answer', 'ice-candidate')
+     * @param {Object} data - Signaling payload with meetingCode and target socket id in `to`
+     */
+    function relaySignal(type, data) {
+        signalingMessages.inc({ type });
+        // Session descriptions are redacted by the logger
+        log.debug('Signal received', { type, to: data.to, payload: data });
+        
+        // Messages buffered while a session expired can still arrive, so this alone is not a violation
+        if (!participantId) {
+            log.info('Dropping signal, not in a meeting', { type });
+            socket.emit('protocol-error', { event: type, code: 'not-in-meeting', message: 'Not in a meeting', fatal: false });
+            return;
+        }
+        if (data.meetingCode !== currentMeetingCode) {
+            reportViolation(type, { code: 'wrong-meeting', message: `Not a participant of meeting ${data.meetingCode}` });
+            return;
+        }
+        
+        // The target may have just left, which is not the sender's fault
+        const meeting = meetings[currentMeetingCode];
+        if (!meeting || !meeting.participants.has(data.to)) {
+            log.info('Dropping signal, target is not in the meeting', { type, to: data.to });
+            return;
+        }
+        
+        io.to(data.to).emit(type, { ...data, from: participantId });
+    }
+
+    // Handle offer signal
+    socket.on('offer', (data) => relaySignal('offer', data));
+
+    // Handle answer signal
+    socket.on('answer', (data) => relaySignal('answer', data));
+
+    // Handle ICE candidate signal
+    socket.on('ice-candidate', (data) => relaySignal('ice-candidate', data));
+
     // Handle disconnection
     socket.on('disconnect', () => {
-        console.log(`User ${socket.id} disconnected`);
+        log.info('Socket disconnected');
         
-        // Remove from current meeting if any
-        if (currentMeetingCode && meetings[currentMeetingCode]) {
-            meetings[currentMeetingCode].participants.delete(socket.id);
+        if (waitingMeetingCode) {
+            leaveWaitingRoom();
+        }
+        
+        // Nothing to hold if we were not in a meeting or a newer socket took over the session
+        const session = sessions[sessionToken];
+        if (!currentMeetingCode || !session || session.socketId !== socket.id) return;
+        
+        // Hold the seat for a while so the client can reconnect without the
+        // other participants tearing down their peer connections
+        const meetingCode = currentMeetingCode;
+        const droppedParticipantId = participantId;
+        const droppedSessionToken = sessionToken;
+        socket.to(meetingCode).emit('user-reconnecting', droppedParticipantId);
+        
+        session.expiryTimer = setTimeout(() => {
+            delete sessions[droppedSessionToken];
+            logger.info('Session expired', { meetingCode, participantId: droppedParticipantId });
             
             // Notify other participants
-            socket.to(currentMeetingCode).emit('user-disconnected', socket.id);
-            
-            // Clean up empty meetings
-            if (meetings[currentMeetingCode].participants.size === 0) {
-                delete meetings[currentMeetingCode];
-                console.log(`Meeting ${currentMeetingCode} deleted (no participants)`);
-            }
-        }
+            io.to(meetingCode).emit('user-disconnected', droppedParticipantId);
+            removeParticipant(meetingCode, droppedParticipantId);
+        }, SESSION_RESUME_WINDOW_MS);
     });
 });
 
-const PORT = 3000;
-server.listen(PORT, () => {
-    console.log(`Signaling server running at http://localhost:${PORT}`);
+server.listen(config.port, config.host, () => {
+    const host = config.host === '0.0.0.0' ? 'localhost' : config.host;
+    logger.info('Signaling server running', { url: `${config.tls ? 'https' : 'http'}://${host}:${config.port}` });
+});
+
+// How long /readyz reports not-ready before connections are closed on shutdown
+const SHUTDOWN_GRACE_MS = 5000;
+
+// Stop taking new clients, give load balancers time to notice, then close every connection
+process.on('SIGTERM', () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('SIGTERM received, shutting down', { graceMs: SHUTDOWN_GRACE_MS });
+    setTimeout(() => io.close(() => process.exit(0)), SHUTDOWN_GRACE_MS);
 });
\ No newline at end of file
@@ -0,0 +1,145 @@
+// Admin REST API for operating the server: list and inspect meetings, end them and remove participants
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Compare a presented token with the configured one without leaking where they differ
+ * Both sides are hashed first so tokens of different lengths can be compared in constant time
+ * @param {string} presented - Token from the request
+ * @param {string} expected - Configured admin token
+ * @returns {boolean} Whether the tokens match
+ */
+function tokensMatch(presented, expected) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+/**
+ * Create the admin router
+ * Requests must carry `Authorization: Bearer <token>`; without a configured token every request is refused
+ * @param {Object} options - Server state and actions
+ * @param {string} [options.token] - Admin token, usually ADMIN_TOKEN
+ * @param {Object} options.meetings - Meetings by code
+ * @param {Object} options.sessions - Resumable sessions by token
+ * @param {number} options.maxParticipants - Capacity of every meeting
+ * @param {Function} options.kickParticipant - Removes a participant: (meetingCode, participantId)
+ * @param {Function} options.endMeeting - Ends a meeting for everyone: (meetingCode)
+ * @returns {express.Router} Router to mount under /api/admin
+ */
+function createAdminRouter({ token, meetings, sessions, maxParticipants, kickParticipant, endMeeting }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        if (!token) {
+            res.status(503).json({ error: 'The admin API is disabled, set ADMIN_TOKEN to enable it' });
+            return;
+        }
+
+        const [scheme, presented] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !presented || !tokensMatch(presented, token)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            res.status(401).json({ error: 'Missing or invalid admin token' });
+            return;
+        }
+        next();
+    });
+
+    /**
+     * Summary of a meeting for the meeting list
+     * @param {string} meetingCode - Code of the meeting
+     * @returns {Object} Summary
+     */
+    function summarizeMeeting(meetingCode) {
+        const meeting = meetings[meetingCode];
+        return {
+            meetingCode,
+            createdAt: new Date(meeting.createdAt).toISOString(),
+            hostId: meeting.hostId,
+            participantCount: meeting.participants.size,
+            waitingCount: meeting.waiting.size,
+            locked: meeting.locked,
+            passwordProtected: Boolean(meeting.password),
+            waitingRoom: meeting.waitingRoom
+        };
+    }
+
+    /**
+     * Whether a participant's socket is connected, as opposed to a seat held for a resume
+     * @param {string} meetingCode - Code of the meeting
+     * @param {string} participantId - Participant to check
+     * @returns {boolean} Whether the participant is connected
+     */
+    function isConnected(meetingCode, participantId) {
+        return Object.values(sessions).some(session =>
+            session.meetingCode === meetingCode && session.participantId === participantId && !session.expiryTimer);
+    }
+
+    /**
+     * Find the meeting named in the URL, answering 404 if there is none
+     * @param {Object} req - Request with a `code` parameter
+     * @param {Object} res - Response
+     * @returns {Object|null} The meeting
+     */
+    function findMeeting(req, res) {
+        const meeting = meetings[req.params.code];
+        if (!meeting) {
+            res.status(404).json({ error: `No active meeting ${req.params.code}` });
+            return null;
+        }
+        return meeting;
+    }
+
+    // Active meetings, newest first
+    router.get('/meetings', (req, res) => {
+        const list = Object.keys(meetings)
+            .map(summarizeMeeting)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json({ meetings: list });
+    });
+
+    // One meeting with its participants and waiting room
+    router.get('/meetings/:code', (req, res) => {
+        const meeting = findMeeting(req, res);
+        if (!meeting) return;
+
+        const code = req.params.code;
+        res.json({
+            ...summarizeMeeting(code),
+            maxParticipants,
+            participants: Array.from(meeting.participants).map(participantId => ({
+                participantId,
+                isHost: participantId === meeting.hostId,
+                connected: isConnected(code, participantId)
+            })),
+            waiting: Array.from(meeting.waiting.entries()).map(([participantId, entry]) => ({
+                participantId,
+                requestedAt: new Date(entry.requestedAt).toISOString()
+            }))
+        });
+    });
+
+    // Force-end a meeting for every participant
+    router.delete('/meetings/:code', (req, res) => {
+        if (!findMeeting(req, res)) return;
+        endMeeting(req.params.code);
+        res.status(204).end();
+    });
+
+    // Remove one participant from a meeting
+    router.delete('/meetings/:code/participants/:participantId', (req, res) => {
+        const meeting = findMeeting(req, res);
+        if (!meeting) return;
+        if (!meeting.participants.has(req.params.participantId)) {
+            res.status(404).json({ error: `${req.params.participantId} is not in meeting ${req.params.code}` });
+            return;
+        }
+
+        kickParticipant(req.params.code, req.params.participantId);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
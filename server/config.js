@@ -0,0 +1,152 @@
+// Server configuration: defaults, then an optional JSON config file, then environment variables
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const MEETING_CODE_FORMATS = ['random', 'words'];
+
+const DEFAULTS = {
+    port: 3000,
+    host: '0.0.0.0',
+    // Both paths set to serve HTTPS; browsers only allow camera access over HTTPS or on localhost
+    tls: { certPath: null, keyPath: null },
+    staticRoot: ROOT_DIR,
+    // Files and directories below staticRoot that are served; server code and package files are not
+    publicPaths: ['index.html', 'admin.html', 'app.js', 'admin.js', 'styles.css', 'js', 'models', 'assets'],
+    // Origins allowed to call the API and connect to socket.io from other sites, '*' for any
+    corsOrigins: [],
+    // Passed to the socket.io server; large enough for any session description,
+    // validation applies tighter per-event limits
+    socketIo: { maxHttpBufferSize: 128 * 1024 },
+    // Every participant connects to every other one, so keep meetings small by default
+    maxParticipants: 8,
+    adminToken: null,
+    // `random` for 8 random characters, `words` for codes like BRAVE-OTTER-4821
+    meetingCodeFormat: 'random',
+    logLevel: 'info',
+    // ICE servers handed to clients; TURN is only offered with a secret to mint credentials
+    ice: {
+        stunUrls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302', 'stun:stun2.l.google.com:19302'],
+        turnUrls: [],
+        turnSecret: null,
+        turnTtl: 86400
+    }
+};
+
+/**
+ * Split a comma-separated environment variable
+ * @param {string} value - e.g. `https://a.example,https://b.example`
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Read the JSON config file named by CONFIG_FILE, or config.json in the repository root if it exists
+ * @param {Object} env - Environment variables
+ * @returns {Object} Settings from the file, empty without one
+ * @throws {Error} If the file can't be read or parsed
+ */
+function readConfigFile(env) {
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    if (!env.CONFIG_FILE && !fs.existsSync(file)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Only the settings that are set
+ */
+function readEnvironment(env) {
+    const settings = {};
+    if (env.PORT) settings.port = Number(env.PORT);
+    if (env.HOST) settings.host = env.HOST;
+    if (env.TLS_CERT) settings.tls = { ...settings.tls, certPath: env.TLS_CERT };
+    if (env.TLS_KEY) settings.tls = { ...settings.tls, keyPath: env.TLS_KEY };
+    if (env.STATIC_ROOT) settings.staticRoot = env.STATIC_ROOT;
+    if (env.CORS_ORIGINS) settings.corsOrigins = parseList(env.CORS_ORIGINS);
+    if (env.MAX_PARTICIPANTS) settings.maxParticipants = Number(env.MAX_PARTICIPANTS);
+    if (env.ADMIN_TOKEN) settings.adminToken = env.ADMIN_TOKEN;
+    if (env.MEETING_CODE_FORMAT) settings.meetingCodeFormat = env.MEETING_CODE_FORMAT;
+    if (env.LOG_LEVEL) settings.logLevel = env.LOG_LEVEL;
+    // An empty STUN_URLS turns STUN off, for offline setups
+    if (env.STUN_URLS !== undefined) settings.ice = { ...settings.ice, stunUrls: parseList(env.STUN_URLS) };
+    if (env.TURN_URLS) settings.ice = { ...settings.ice, turnUrls: parseList(env.TURN_URLS) };
+    if (env.TURN_SECRET) settings.ice = { ...settings.ice, turnSecret: env.TURN_SECRET };
+    if (env.TURN_TTL) settings.ice = { ...settings.ice, turnTtl: Number(env.TURN_TTL) };
+    return settings;
+}
+
+/**
+ * Check the merged configuration and resolve its paths
+ * @param {Object} config - Merged configuration
+ * @returns {Object} The configuration with absolute paths, and `tls` null when HTTPS is off
+ * @throws {Error} Describing the first invalid setting
+ */
+function validate(config) {
+    const fail = message => {
+        throw new Error(`Invalid configuration: ${message}`);
+    };
+
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) fail(`port ${config.port} is not a valid port`);
+    if (!Number.isInteger(config.maxParticipants) || config.maxParticipants < 2) fail('maxParticipants must be at least 2');
+    if (!Array.isArray(config.corsOrigins) || config.corsOrigins.some(origin => typeof origin !== 'string')) {
+        fail('corsOrigins must be a list of origins');
+    }
+    if (!MEETING_CODE_FORMATS.includes(config.meetingCodeFormat)) fail(`meetingCodeFormat must be one of ${MEETING_CODE_FORMATS.join(', ')}`);
+    if (!LOG_LEVELS.includes(config.logLevel)) fail(`logLevel must be one of ${LOG_LEVELS.join(', ')}`);
+    const isUrlList = list => Array.isArray(list) && list.every(url => typeof url === 'string');
+    if (!isUrlList(config.ice.stunUrls) || !isUrlList(config.ice.turnUrls)) fail('ice.stunUrls and ice.turnUrls must be lists of urls');
+    if (!Number.isInteger(config.ice.turnTtl) || config.ice.turnTtl < 1) fail('ice.turnTtl must be a number of seconds');
+    if (!Array.isArray(config.publicPaths) || config.publicPaths.some(entry => typeof entry !== 'string' || entry.includes('..'))) {
+        fail('publicPaths must be a list of paths inside staticRoot');
+    }
+
+    const staticRoot = path.resolve(ROOT_DIR, config.staticRoot);
+    if (!fs.existsSync(staticRoot) || !fs.statSync(staticRoot).isDirectory()) fail(`staticRoot ${staticRoot} is not a directory`);
+
+    let tls = null;
+    const { certPath, keyPath } = config.tls || {};
+    if (certPath || keyPath) {
+        if (!certPath || !keyPath) fail('tls needs both certPath and keyPath');
+        tls = { certPath: path.resolve(ROOT_DIR, certPath), keyPath: path.resolve(ROOT_DIR, keyPath) };
+        [tls.certPath, tls.keyPath].forEach(file => {
+            if (!fs.existsSync(file)) fail(`TLS file ${file} does not exist, see "npm run cert:dev"`);
+        });
+    }
+
+    return { ...config, staticRoot, tls };
+}
+
+/**
+ * Load the server configuration
+ * Later sources win: defaults, the config file, then environment variables.
+ * Relative paths are resolved against the repository root
+ * @param {Object} [env] - Environment variables, process.env by default
+ * @returns {Object} Validated configuration
+ * @throws {Error} If the config file is unreadable or a setting is invalid
+ */
+function loadConfig(env = process.env) {
+    const file = readConfigFile(env);
+    const environment = readEnvironment(env);
+    return validate({
+        ...DEFAULTS,
+        ...file,
+        ...environment,
+        tls: { ...DEFAULTS.tls, ...file.tls, ...environment.tls },
+        socketIo: { ...DEFAULTS.socketIo, ...file.socketIo },
+        ice: { ...DEFAULTS.ice, ...file.ice, ...environment.ice }
+    });
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,47 @@
+// ICE server configuration for clients, including time-limited TURN credentials
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Mint TURN REST API credentials as understood by coturn's `use-auth-secret` mode:
+ * the username carries the expiry timestamp and the password is an HMAC of it
+ * @param {string} secret - Shared secret configured as `static-auth-secret` in coturn
+ * @param {number} ttlSeconds - Credential lifetime
+ * @param {string} userId - Opaque user identifier embedded in the username
+ * @returns {Object} Username and credential
+ */
+function createTurnCredentials(secret, ttlSeconds, userId) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential };
+}
+
+/**
+ * Build the ICE server list for a client
+ * @param {string} userId - Opaque user identifier for the TURN username
+ * @param {Object} ice - `ice` settings from the server configuration: `stunUrls` (empty to disable STUN),
+ *     `turnUrls`, `turnSecret` to mint credentials for them and `turnTtl`, their lifetime in seconds
+ * @returns {Object} `{ iceServers, ttl }` where ttl is the credential lifetime in seconds
+ */
+function getIceServers(userId, ice) {
+    const iceServers = [];
+    const ttl = ice.turnTtl;
+
+    if (ice.stunUrls.length > 0) {
+        iceServers.push({ urls: ice.stunUrls });
+    }
+
+    if (ice.turnUrls.length > 0 && ice.turnSecret) {
+        iceServers.push({
+            urls: ice.turnUrls,
+            ...createTurnCredentials(ice.turnSecret, ttl, userId)
+        });
+    } else if (ice.turnUrls.length > 0) {
+        logger.warn('TURN urls are set without a TURN secret, TURN servers are not offered to clients');
+    }
+
+    return { iceServers, ttl };
+}
+
+module.exports = { getIceServers, createTurnCredentials };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Structured JSON logging: one object per line with a level, a message and context fields
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Verbosity, `info` until the server configuration sets it
+let minLevel = LEVELS.info;
+
+// Payload fields that are large or secret; only their size is logged
+const REDACTED_KEYS = new Set(['sdp', 'password', 'sessionToken', 'token']);
+const MAX_DEPTH = 5;
+
+/**
+ * Copy a value with redacted fields replaced by a placeholder
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Value safe to log
+ */
+function redact(value, depth = 0) {
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[nested]';
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+        copy[key] = REDACTED_KEYS.has(key) && fieldValue
+            ? `[redacted ${String(fieldValue).length} chars]`
+            : redact(fieldValue, depth + 1);
+    });
+    return copy;
+}
+
+/**
+ * Create a logger
+ * Bindings are added to every line; pass a function to have them read when each line is written,
+ * e.g. for a meeting code that changes over a socket's lifetime
+ * @param {Object|Function} [bindings] - Context fields, or a function returning them
+ * @returns {Object} `{ debug, info, warn, error, child }`, each taking `(message, fields)`
+ */
+function createLogger(bindings = {}) {
+    const resolveBindings = typeof bindings === 'function' ? bindings : () => bindings;
+
+    /**
+     * Write one line if the level is enabled
+     * @param {string} level - Level name
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Extra context for this line
+     */
+    function write(level, message, fields = {}) {
+        if (LEVELS[level] < minLevel) return;
+
+        const context = resolveBindings();
+        // Leave out unset context, such as the meeting of a socket that hasn't joined one
+        Object.keys(context).forEach(key => {
+            if (context[key] === null || context[key] === undefined) delete context[key];
+        });
+
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...redact(context),
+            ...redact(fields)
+        });
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        /**
+         * Create a logger with more context fields
+         * @param {Object|Function} childBindings - Fields, or a function returning them
+         * @returns {Object} Logger
+         */
+        child: (childBindings) => createLogger(() => ({
+            ...resolveBindings(),
+            ...(typeof childBindings === 'function' ? childBindings() : childBindings)
+        }))
+    };
+}
+
+/**
+ * Set the verbosity of every logger
+ * @param {string} level - Lowest level that is written
+ */
+function setLogLevel(level) {
+    minLevel = LEVELS[level] || LEVELS.info;
+}
+
+// Shared root logger
+const logger = createLogger();
+
+module.exports = { logger, createLogger, setLogLevel };
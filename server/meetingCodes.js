@@ -0,0 +1,72 @@
+// Meeting code allocation: unique, unguessable codes in a random or a word format
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes read out loud or copied by hand survive
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const ADJECTIVES = [
+    'AMBER', 'BRAVE', 'BRIGHT', 'BRISK', 'CALM', 'CLEAR', 'CLEVER', 'COOL',
+    'COSMIC', 'CRISP', 'DARING', 'EAGER', 'FAIR', 'FANCY', 'FAST', 'FROSTY',
+    'GENTLE', 'GOLDEN', 'GRAND', 'HAPPY', 'HONEST', 'JOLLY', 'KIND', 'LIVELY',
+    'LUCKY', 'MELLOW', 'MIGHTY', 'MISTY', 'NOBLE', 'PLUCKY', 'PROUD', 'QUICK',
+    'QUIET', 'RAPID', 'ROYAL', 'RUSTY', 'SHINY', 'SILENT', 'SILVER', 'SLEEPY',
+    'SMART', 'SNOWY', 'SOLAR', 'SPARKY', 'STEADY', 'STORMY', 'SUNNY', 'SWIFT',
+    'TIDY', 'TINY', 'VIVID', 'WARM', 'WILD', 'WISE', 'WITTY', 'ZESTY',
+    'BOLD', 'DUSTY', 'FUZZY', 'HUMBLE', 'LUNAR', 'NIMBLE', 'PLAYFUL', 'SUNLIT'
+];
+
+const NOUNS = [
+    'BADGER', 'BEACON', 'BISON', 'BREEZE', 'CANYON', 'CEDAR', 'COMET', 'CORAL',
+    'CRANE', 'DELTA', 'EAGLE', 'EMBER', 'FALCON', 'FERN', 'FJORD', 'FOREST',
+    'FOX', 'GALAXY', 'GLACIER', 'HARBOR', 'HAWK', 'HERON', 'ISLAND', 'JAGUAR',
+    'LAGOON', 'LANTERN', 'LEOPARD', 'LOTUS', 'MAPLE', 'MEADOW', 'MESA', 'MOOSE',
+    'NEBULA', 'OCEAN', 'ORBIT', 'OTTER', 'PANDA', 'PEBBLE', 'PINE', 'PRAIRIE',
+    'RAVEN', 'REEF', 'RIVER', 'ROBIN', 'SAGE', 'SPARROW', 'SPRUCE', 'SUMMIT',
+    'THUNDER', 'TIGER', 'TULIP', 'TUNDRA', 'VALLEY', 'WALRUS', 'WAVE', 'WILLOW',
+    'WOLF', 'ZEBRA', 'ACORN', 'ARROW', 'BAMBOO', 'CLOVER', 'DUNE', 'GROVE'
+];
+
+// Attempts before giving up; only reached when almost every code is in use
+const MAX_ATTEMPTS = 50;
+
+/**
+ * Random code from the unambiguous alphabet, e.g. `K7QX3MPA`
+ * @returns {string} Meeting code
+ */
+function randomCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Human-friendly code, e.g. `BRAVE-OTTER-4821`
+ * @returns {string} Meeting code
+ */
+function wordCode() {
+    const adjective = ADJECTIVES[crypto.randomInt(ADJECTIVES.length)];
+    const noun = NOUNS[crypto.randomInt(NOUNS.length)];
+    const number = crypto.randomInt(1000, 10000);
+    return `${adjective}-${noun}-${number}`;
+}
+
+/**
+ * Allocate a meeting code that is not in use
+ * @param {Function} isTaken - Returns true for codes that must not be handed out
+ * @param {string} [format] - `random` (default) or `words`
+ * @returns {string} A free meeting code
+ * @throws {Error} If no free code was found
+ */
+function allocateMeetingCode(isTaken, format = 'random') {
+    const generate = format === 'words' ? wordCode : randomCode;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const code = generate();
+        if (!isTaken(code)) return code;
+    }
+    throw new Error('Could not allocate a free meeting code');
+}
+
+module.exports = { allocateMeetingCode };
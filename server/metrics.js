@@ -0,0 +1,91 @@
+// Minimal Prometheus metrics: counters updated as things happen and gauges read at scrape time
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format one sample line
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label names and values
+ * @param {number} value - Sample value
+ * @returns {string} e.g. `signaling_messages_total{type="offer"} 3`
+ */
+function formatSample(name, labels, value) {
+    const pairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`);
+    return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} `{ counter(name, help), gauge(name, help, collect), render() }`
+ */
+function createMetricsRegistry() {
+    const metrics = [];
+
+    /**
+     * Define a counter
+     * @param {string} name - Metric name, ending in `_total`
+     * @param {string} help - Description shown by Prometheus
+     * @returns {Object} `{ inc(labels, amount) }`
+     */
+    function counter(name, help) {
+        const values = new Map(); // Serialized labels -> { labels, value }
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            collect: () => Array.from(values.values())
+        });
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = JSON.stringify(labels);
+                const entry = values.get(key) || { labels, value: 0 };
+                entry.value += amount;
+                values.set(key, entry);
+            }
+        };
+    }
+
+    /**
+     * Define a gauge whose samples are read when metrics are scraped
+     * @param {string} name - Metric name
+     * @param {string} help - Description shown by Prometheus
+     * @param {Function} collect - Returns a number, or an array of `{ labels, value }`
+     */
+    function gauge(name, help, collect) {
+        metrics.push({
+            name,
+            help,
+            type: 'gauge',
+            collect: () => {
+                const result = collect();
+                return Array.isArray(result) ? result : [{ labels: {}, value: result }];
+            }
+        });
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string} Metrics text
+     */
+    function render() {
+        const lines = [];
+        metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            metric.collect().forEach(sample => lines.push(formatSample(metric.name, sample.labels, sample.value)));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, render };
+}
+
+module.exports = { createMetricsRegistry };
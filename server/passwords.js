@@ -0,0 +1,31 @@
+// Meeting password hashing; only the salted scrypt hash is kept in memory
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 32;
+
+/**
+ * Hash a meeting password with a random salt
+ * @param {string} password - Password chosen by the meeting's creator
+ * @returns {Promise<Object>} `{ salt, hash }` as hex strings
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Password presented by a joining participant
+ * @param {Object} stored - `{ salt, hash }` from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string') return false;
+    const hash = await scrypt(password, Buffer.from(stored.salt, 'hex'), KEY_LENGTH);
+    return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,62 @@
+// Per-socket token bucket rate limits, with separate budgets for each kind of event
+
+// Buckets by event kind: `capacity` is the allowed burst, `refillPerSecond` the sustained rate
+const BUCKETS = {
+    // A connection setup sends an offer, an answer and a burst of ICE candidates per peer
+    signaling: { capacity: 200, refillPerSecond: 50 },
+    // Create and join hash or check a password, so they are the most expensive
+    meeting: { capacity: 5, refillPerSecond: 0.2 },
+    // Leaving is cheap and must not be blocked by an exhausted create/join budget
+    leave: { capacity: 10, refillPerSecond: 1 },
+    moderation: { capacity: 20, refillPerSecond: 2 }
+};
+
+const EVENT_BUCKETS = {
+    'offer': 'signaling',
+    'answer': 'signaling',
+    'ice-candidate': 'signaling',
+    'create-meeting': 'meeting',
+    'join-meeting': 'meeting',
+    'end-call': 'leave'
+};
+
+/**
+ * Create a token bucket
+ * @param {Object} options - `capacity` and `refillPerSecond`
+ * @returns {Object} `{ take() }`, returning false when the bucket is empty
+ */
+function createTokenBucket({ capacity, refillPerSecond }) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+
+    return {
+        take() {
+            const now = Date.now();
+            tokens = Math.min(capacity, tokens + (now - lastRefill) / 1000 * refillPerSecond);
+            lastRefill = now;
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        }
+    };
+}
+
+/**
+ * Create the rate limiter of one socket
+ * Events without a bucket of their own share the moderation budget
+ * @returns {Object} `{ allow(event) }`, returning false when the event is over its limit
+ */
+function createRateLimiter() {
+    const buckets = {};
+    Object.keys(BUCKETS).forEach(kind => {
+        buckets[kind] = createTokenBucket(BUCKETS[kind]);
+    });
+
+    return {
+        allow(event) {
+            return buckets[EVENT_BUCKETS[event] || 'moderation'].take();
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
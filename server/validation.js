@@ -0,0 +1,163 @@
+// Schemas for every event clients may send, checked before any handler runs
+
+// Shared field schemas
+const MEETING_CODE = { type: 'string', maxLength: 64 };
+const PARTICIPANT_ID = { type: 'string', maxLength: 64 };
+const PASSWORD = { type: 'string', minLength: 0, maxLength: 128, optional: true };
+
+// Session descriptions can carry a lot of codecs and candidates, everything else is small
+const MAX_SIGNAL_SIZE = 64 * 1024;
+const MAX_CONTROL_SIZE = 1024;
+
+/**
+ * Schema of an offer or answer
+ * @param {string} type - 'offer' or 'answer'
+ * @returns {Object} Schema
+ */
+function sessionDescription(type) {
+    return {
+        type: 'object',
+        properties: {
+            type: { type: 'string', oneOf: [type] },
+            sdp: { type: 'string', maxLength: MAX_SIGNAL_SIZE }
+        }
+    };
+}
+
+// `args` lists the event's arguments; `ack` events may end with an acknowledgement callback
+const EVENT_SCHEMAS = {
+    'create-meeting': {
+        args: [{
+            type: 'object',
+            optional: true,
+            properties: { password: PASSWORD, waitingRoom: { type: 'boolean', optional: true } }
+        }],
+        ack: true,
+        maxSize: MAX_CONTROL_SIZE
+    },
+    'join-meeting': {
+        args: [MEETING_CODE, { type: 'object', optional: true, properties: { password: PASSWORD } }],
+        ack: true,
+        maxSize: MAX_CONTROL_SIZE
+    },
+    'end-call': { args: [], maxSize: MAX_CONTROL_SIZE },
+    'offer': {
+        args: [{
+            type: 'object',
+            properties: {
+                meetingCode: MEETING_CODE,
+                to: PARTICIPANT_ID,
+                offer: sessionDescription('offer'),
+                reset: { type: 'boolean', optional: true }
+            }
+        }],
+        maxSize: MAX_SIGNAL_SIZE
+    },
+    'answer': {
+        args: [{
+            type: 'object',
+            properties: { meetingCode: MEETING_CODE, to: PARTICIPANT_ID, answer: sessionDescription('answer') }
+        }],
+        maxSize: MAX_SIGNAL_SIZE
+    },
+    'ice-candidate': {
+        args: [{
+            type: 'object',
+            properties: {
+                meetingCode: MEETING_CODE,
+                to: PARTICIPANT_ID,
+                candidate: {
+                    type: 'object',
+                    properties: {
+                        candidate: { type: 'string', minLength: 0, maxLength: 1024 },
+                        sdpMid: { type: 'string', minLength: 0, maxLength: 64, optional: true, nullable: true },
+                        sdpMLineIndex: { type: 'number', optional: true, nullable: true },
+                        usernameFragment: { type: 'string', minLength: 0, maxLength: 256, optional: true, nullable: true }
+                    }
+                }
+            }
+        }],
+        maxSize: 4 * 1024
+    },
+    'admit': { args: [{ type: 'object', properties: { participantId: PARTICIPANT_ID } }], maxSize: MAX_CONTROL_SIZE },
+    'deny': { args: [{ type: 'object', properties: { participantId: PARTICIPANT_ID } }], maxSize: MAX_CONTROL_SIZE },
+    'kick': { args: [{ type: 'object', properties: { participantId: PARTICIPANT_ID } }], maxSize: MAX_CONTROL_SIZE },
+    'mute-request': {
+        args: [{ type: 'object', optional: true, properties: { participantId: { ...PARTICIPANT_ID, optional: true } } }],
+        maxSize: MAX_CONTROL_SIZE
+    },
+    'lock-meeting': { args: [{ type: 'object', properties: { locked: { type: 'boolean' } } }], maxSize: MAX_CONTROL_SIZE },
+    'end-for-all': { args: [], maxSize: MAX_CONTROL_SIZE }
+};
+
+/**
+ * Check a value against a schema
+ * Unknown object properties are allowed; the size cap keeps them bounded
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value
+ * @param {string} path - Where the value sits in the payload, for the error message
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkValue(value, schema, path) {
+    if (value === undefined) return schema.optional ? null : `${path} is required`;
+    if (value === null) return schema.nullable ? null : `${path} must not be null`;
+
+    switch (schema.type) {
+        case 'string': {
+            if (typeof value !== 'string') return `${path} must be a string`;
+            const minLength = schema.minLength === undefined ? 1 : schema.minLength;
+            if (value.length < minLength || value.length > schema.maxLength) {
+                return `${path} must be ${minLength}-${schema.maxLength} characters`;
+            }
+            if (schema.oneOf && !schema.oneOf.includes(value)) return `${path} must be one of ${schema.oneOf.join(', ')}`;
+            return null;
+        }
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? null : `${path} must be a number`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const error = checkValue(value[key], propertySchema, `${path}.${key}`);
+                if (error) return error;
+            }
+            return null;
+        }
+        default:
+            return `${path} has an unknown schema type`;
+    }
+}
+
+/**
+ * Validate an incoming event before it reaches its handler
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments, including a trailing acknowledgement callback if any
+ * @returns {Object|null} `{ code, message }` describing the violation, or null if the event is valid
+ */
+function validateEvent(event, args) {
+    const schema = Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+    if (!schema) return { code: 'unknown-event', message: `Unknown event ${event}` };
+
+    const payload = schema.ack && typeof args[args.length - 1] === 'function' ? args.slice(0, -1) : args;
+    if (payload.some(arg => typeof arg === 'function')) {
+        return { code: 'invalid-payload', message: `${event} does not take an acknowledgement` };
+    }
+    if (payload.length > schema.args.length) {
+        return { code: 'invalid-payload', message: `${event} takes at most ${schema.args.length} arguments` };
+    }
+
+    // Measured after parsing, socket.io's maxHttpBufferSize already caps the raw packet
+    const size = Buffer.byteLength(JSON.stringify(payload));
+    if (size > schema.maxSize) {
+        return { code: 'payload-too-large', message: `${event} payload is ${size} bytes, the limit is ${schema.maxSize}` };
+    }
+
+    for (let i = 0; i < schema.args.length; i++) {
+        const error = checkValue(payload[i], schema.args[i], `argument ${i + 1}`);
+        if (error) return { code: 'invalid-payload', message: `Invalid ${event}: ${error}` };
+    }
+    return null;
+}
+
+module.exports = { validateEvent };